@@ -8,8 +8,18 @@
  * - Shortcode handling hardened to avoid invalid backend requests (e.g., "/admin/shortcodes/object/config" 404).
  * - Server-saved components are loaded and converted into blocks (robust to malformed data).
  * - Asset Manager and other features preserved and improved with minor defensive checks.
+ * - File blocks are discovered from the block manifest (/js/blocks/manifest.json) instead of hard-coded counts,
+ *   loaded in parallel after the editor opens and cached per manifest version.
+ * - Edits are autosaved as local drafts (IndexedDB). On open a draft is offered when it was made on top of
+ *   the page as currently saved, or when it is newer than PAGE_UPDATED_AT (optional global with the page's
+ *   last save time, set by the host page next to PAGE_ID and PAGE_HTML).
+ * - Shortcodes share one parser (Shortcodes): quoted/positional attributes, self-closing, enclosing
+ *   [name]...[/name] with nested content, and escaped [[name]] tags that are left as literal text.
+ *   The parser and the HTML conversion live in shortcodes.js, which ships next to this file and is
+ *   loaded on startup unless a <script> tag already did (tests: npm test, fixtures in test/fixtures/shortcodes).
+ * - Block stylesheets are scoped by css-scope.js, shipped and loaded the same way.
  *
- * Replace your current builder.js with this file. It should be a drop-in replacement.
+ * Replace your current builder.js with this file and copy shortcodes.js and css-scope.js into the same directory.
  */
 
 (function () {
@@ -39,6 +49,12 @@
     .replace(/>/g, '&gt;')
     .replace(/'/g, '&#39;');
   },
+  formatBytes(bytes) {
+   const n = Number(bytes) || 0;
+   if (n < 1024) return `${n} B`;
+   if (n < 1024 * 1024) return `${(n / 1024).toFixed(0)} KB`;
+   return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  },
   debounce(fn, wait = 400) {
    let t;
    return (...args) => {
@@ -46,10 +62,25 @@
     t = setTimeout(() => fn(...args), wait);
    };
   },
+  // Runs worker(item) for every item with at most `limit` calls in flight.
+  async mapLimit(items, limit, worker) {
+   const list = Array.from(items || []);
+   const results = new Array(list.length);
+   let next = 0;
+   const run = async () => {
+    while (next < list.length) {
+     const idx = next++;
+     try { results[idx] = await worker(list[idx], idx); } catch (e) { results[idx] = undefined; console.warn('mapLimit worker failed', e); }
+    }
+   };
+   const size = Math.max(1, Math.min(limit || 1, list.length));
+   await Promise.all(Array.from({ length: size }, run));
+   return results;
+  },
   extractShortcodeName(content) {
    if (!content) return null;
-   const m = (content + '').match(/\[([a-zA-Z0-9_:-]+)(\s[^\]]*)?\]/);
-   return m ? m[1] : null;
+   const tag = Shortcodes.tokenize(content + '').find(t => t.type === 'open');
+   return tag ? tag.name : null;
   },
   csrfTokenHeader() {
    const tokenMeta = document.querySelector('meta[name="csrf-token"]');
@@ -68,9 +99,75 @@
    const div = document.createElement('div');
    div.textContent = text;
    return div.innerHTML;
+  },
+  // Binds (or creates, next to #btn-save) a top toolbar button.
+  toolbarButton(id, label, onClick) {
+   let btn = document.getElementById(id);
+   if (!btn) {
+    const anchor = document.getElementById('btn-save');
+    if (!anchor || !anchor.parentNode) return null;
+    btn = document.createElement('button');
+    btn.type = 'button';
+    btn.id = id;
+    btn.className = anchor.className;
+    btn.textContent = label;
+    anchor.parentNode.insertBefore(btn, anchor);
+   }
+   btn.addEventListener('click', (e) => { e.preventDefault(); onClick(e); });
+   return btn;
   }
  };
 
+ // URL of a file shipped next to builder.js (document.currentScript is only set while it runs).
+ const builderScriptSrc = document.currentScript && document.currentScript.src;
+ const siblingScriptUrl = name => (builderScriptSrc ? new URL(name, builderScriptSrc).href : `/js/${name}`);
+
+ /* ============================
+    Builder configuration
+    - Any key can be overridden by defining window.BUILDER_CONFIG before this script.
+    ============================ */
+ const CONFIG = Object.assign({
+  blockManifest: '/js/blocks/manifest.json',
+  blockConcurrency: 6,
+  blockCachePrefix: 'cms-blocks-',
+  localDbName: 'cms-builder',
+  autosaveDelay: 2000,
+  autosaveInterval: 30000,
+  serverDrafts: false,
+  serverDraftDelay: 15000,
+  shortcodeRenderUrl: '/shortcode/render',
+  shortcodeBatchUrl: '/shortcode/render-batch',
+  shortcodeBatchDelay: 30,
+  shortcodeCacheKey: 'cms-shortcode-cache',
+  shortcodeCacheLimit: 300,
+  contentListUrl: '/admin/content/list',
+  // Used to build a link when the content list has no url for an item.
+  contentUrlPatterns: { page: '/{slug}', post: '/blog/{slug}' },
+  uploadMaxSize: 5 * 1024 * 1024,
+  uploadConcurrency: 3,
+  // Defaults for the upload optimizer; editors can change them in the media panel.
+  optimizeImages: true,
+  optimizeMaxDimension: 2560,
+  optimizeFormat: 'image/webp',
+  optimizeQuality: 0.82,
+  optimizeSettingsKey: 'cms-media-optimize',
+  imageVariantsUrl: '/admin/media/variants',
+  // Other origins that serve media with CORS headers; only their images (and same-origin ones)
+  // can be cropped in the image editor.
+  corsImageOrigins: [],
+  imageDefaultSizes: '100vw',
+  themeUrl: '/admin/theme',
+  // Helper scripts next to this one; only fetched when the page did not include them already.
+  shortcodesScriptUrl: siblingScriptUrl('shortcodes.js'),
+  cssScopeScriptUrl: siblingScriptUrl('css-scope.js'),
+  // Preview devices; widthMedia is the max-width breakpoint their style edits are scoped to.
+  devices: [
+   { id: 'desktop', name: 'Desktop', icon: '🖥', width: '' },
+   { id: 'tablet', name: 'Tablet', icon: '📱', width: '768px', widthMedia: '992px' },
+   { id: 'mobile', name: 'Mobile', icon: '📲', width: '375px', widthMedia: '480px' }
+  ],
+ }, window.BUILDER_CONFIG || {});
+
  /* ============================
     Fetch helpers
     ============================ */
@@ -85,22 +182,119 @@
   }
  }
 
+ // Resolves to window[name], adding a <script> for src when the host page did not load it;
+ // rejects when it cannot be loaded.
+ function loadHelperScript(name, src) {
+  if (window[name]) return Promise.resolve(window[name]);
+  return new Promise((resolve, reject) => {
+   const script = document.createElement('script');
+   script.src = src;
+   script.onload = () => (window[name] ? resolve(window[name]) : reject(new Error(`${src} did not define ${name}`)));
+   script.onerror = () => reject(new Error(`Could not load ${src}`));
+   document.head.appendChild(script);
+  });
+ }
+
+ async function fetchJson(path) {
+  try {
+   const res = await fetch(path, { cache: 'no-cache', headers: { Accept: 'application/json' } });
+   if (!res.ok) throw new Error(`${res.status} ${path}`);
+   return await res.json();
+  } catch (e) {
+   console.warn('fetchJson error:', path, e);
+   return null;
+  }
+ }
+
+ /* ============================
+    Local key/value store (IndexedDB)
+    - Holds per-page drafts; every call rejects when IndexedDB is unavailable.
+    ============================ */
+ const LocalStore = {
+  stores: ['drafts'],
+  dbPromise: null,
+  open() {
+   if (!this.dbPromise) {
+    this.dbPromise = new Promise((resolve, reject) => {
+     if (typeof indexedDB === 'undefined') return reject(new Error('IndexedDB unavailable'));
+     const req = indexedDB.open(CONFIG.localDbName, 1);
+     req.onupgradeneeded = () => {
+      this.stores.forEach(name => { if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name); });
+     };
+     req.onsuccess = () => resolve(req.result);
+     req.onerror = () => reject(req.error);
+    });
+   }
+   return this.dbPromise;
+  },
+  async request(store, mode, fn) {
+   const db = await this.open();
+   return new Promise((resolve, reject) => {
+    const req = fn(db.transaction(store, mode).objectStore(store));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+   });
+  },
+  get(store, key) { return this.request(store, 'readonly', s => s.get(key)); },
+  set(store, key, value) { return this.request(store, 'readwrite', s => s.put(value, key)); },
+  remove(store, key) { return this.request(store, 'readwrite', s => s.delete(key)); }
+ };
+
+ /* ============================
+    CSS scoping for block stylesheets: css-scope.js (window.CMSCssScope)
+    ============================ */
+ let CSS_GROUPING_AT_RULE, parseCssBlocks, scopeCss;
+
+ async function loadCssScope() {
+  ({ CSS_GROUPING_AT_RULE, parseCssBlocks, scopeCss } = await loadHelperScript('CMSCssScope', CONFIG.cssScopeScriptUrl));
+ }
+
+ /* ============================
+    Block file cache (Cache Storage)
+    - One cache per manifest version/hash; caches for other versions are dropped on open.
+    - Without a version (or without Cache Storage) every read goes to the network.
+    ============================ */
+ const BlockCache = {
+  cache: null,
+  async open(version) {
+   this.cache = null;
+   if (!version || typeof caches === 'undefined') return;
+   const name = CONFIG.blockCachePrefix + version;
+   try {
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => n.startsWith(CONFIG.blockCachePrefix) && n !== name).map(n => caches.delete(n)));
+    this.cache = await caches.open(name);
+   } catch (e) {
+    console.warn('BlockCache: Cache Storage unavailable', e);
+   }
+  },
+  async text(path) {
+   if (!this.cache) return fetchText(path);
+   try {
+    const hit = await this.cache.match(path);
+    if (hit) return await hit.text();
+   } catch (e) { /* fall back to network */ }
+   const text = await fetchText(path);
+   if (text !== null) {
+    try { await this.cache.put(path, new Response(text, { headers: { 'Content-Type': 'text/plain; charset=utf-8' } })); } catch (e) { /* quota or opaque errors are not fatal */ }
+   }
+   return text;
+  }
+ };
+
  /* ============================
     Block file loader for /js/blocks
     ============================ */
- async function loadBlockFiles(htmlPath, cssPath = null) {
+ async function loadBlockFiles(htmlPath, cssPath = null, scopeId = null) {
   try {
-   const html = await fetchText(htmlPath);
+   const [html, cssText] = await Promise.all([BlockCache.text(htmlPath), cssPath ? BlockCache.text(cssPath) : null]);
    if (!html) throw new Error('HTML not found: ' + htmlPath);
 
    if (cssPath) {
-    const css = await fetchText(cssPath) || '';
-    const blockId = htmlPath.split('/').slice(-2, -1)[0] || 'block';
+    const css = cssText || '';
+    const blockId = scopeId || htmlPath.split('/').slice(-2, -1)[0] || 'block';
     const scopedClass = `block-${blockId}`;
-    const scopedCss = css.replace(/(^|\})\s*([^{]+)/g, (match, brace, selector) => {
-     if (selector.trim().startsWith('@')) return match;
-     return `${brace} .${scopedClass} ${selector}`;
-    });
+    const scopedCss = scopeCss(css, `.${scopedClass}`);
     return `<style>${scopedCss}</style>\n<div class="${scopedClass}">\n${html}\n</div>`;
    }
 
@@ -111,37 +305,525 @@
   }
  }
 
- async function loadComponents(arr, pathname, labelname, times, follow) {
-  let content;
-  for (let i = 1; i <= times; i++) {
+ /* ============================
+    Block manifest
+    - CONFIG.blockManifest lists every file block, so a new block only needs its
+      files dropped under /js/blocks and an entry in the manifest.
+    - Shape: { version, groups: [{ id, label, category?, tags?, blocks: [{ id?, label?, html, css?, category?, tags? }] }] }
+    - Relative html/css paths are resolved against the manifest's folder.
+    ============================ */
+
+ // Used only when the manifest cannot be loaded, so existing installs keep their blocks.
+ const LEGACY_BLOCK_GROUPS = [
+  ['about', 'About', 16], ['banner', 'Banner', 4], ['blog', 'Blog', 13], ['contact', 'Contact', 15],
+  ['counter', 'Counter', 3], ['footer', 'Footer', 8], ['gallery', 'Gallery', 8], ['hero', 'Hero', 12],
+  ['product', 'Product', 13], ['review', 'Review', 18], ['service', 'Service', 23], ['social', 'Social', 1],
+  ['step', 'Step', 5], ['subscribe', 'Subscribe', 6], ['team', 'Team', 14], ['vision', 'Vision', 3],
+  ['why', 'Why', 9], ['work', 'Work', 7]
+ ];
+
+ function legacyBlockManifest() {
+  return {
+   version: null,
+   groups: LEGACY_BLOCK_GROUPS.map(([id, label, count]) => ({
+    id,
+    label,
+    blocks: Array.from({ length: count }, (_, i) => ({ id: `${id}${i + 1}`, label: `${label} ${i + 1}`, html: `${id}/${id}${i + 1}.html` }))
+   }))
+  };
+ }
+
+ function resolveBlockPath(path, base) {
+  if (typeof path !== 'string' || !path.trim()) return null;
+  if (path.startsWith('/') || /^[a-z][a-z0-9+.-]*:/i.test(path)) return path;
+  return base + path;
+ }
+
+ function normalizeBlockManifest(data, base) {
+  const groups = (data && Array.isArray(data.groups)) ? data.groups : [];
+  const seen = new Set();
+  return groups.map(g => {
+   if (!g || typeof g !== 'object' || !g.id) {
+    console.warn('Skipping malformed block manifest group:', g);
+    return null;
+   }
+   const label = g.label || String(g.id);
+   const category = g.category || `UI/${label}`;
+   const groupTags = Array.isArray(g.tags) ? g.tags : [];
+   const blocks = (Array.isArray(g.blocks) ? g.blocks : []).map((b, i) => {
+    const html = resolveBlockPath(b && b.html, base);
+    if (!html) {
+     console.warn(`Skipping block manifest entry without html in group "${g.id}":`, b);
+     return null;
+    }
+    const id = String(b.id || `${g.id}${i + 1}`);
+    if (seen.has(id)) {
+     console.warn('Skipping duplicate block id in manifest:', id);
+     return null;
+    }
+    seen.add(id);
+    return {
+     id,
+     label: b.label || `${label} ${i + 1}`,
+     category: b.category || category,
+     html,
+     css: resolveBlockPath(b.css, base),
+     tags: groupTags.concat(Array.isArray(b.tags) ? b.tags : []).filter(t => typeof t === 'string' && t.trim())
+    };
+   }).filter(Boolean);
+   return { id: String(g.id), label, category, blocks };
+  }).filter(Boolean);
+ }
+
+ async function loadBlockManifest() {
+  const base = CONFIG.blockManifest.replace(/[^/]*$/, '');
+  const data = await fetchJson(CONFIG.blockManifest);
+  if (!data) {
+   console.warn('Block manifest not available, falling back to the built-in block list.');
+   return { version: null, groups: normalizeBlockManifest(legacyBlockManifest(), base) };
+  }
+  return { version: data.version || data.hash || null, groups: normalizeBlockManifest(data, base) };
+ }
+
+ async function loadFileBlock(b) {
+  try {
+   const content = await loadBlockFiles(b.html, b.css, b.id);
+   if (!content) return null;
+   return {
+    id: b.id,
+    label: b.label,
+    category: b.category,
+    tags: b.tags,
+    content,
+    hoverPreview: `<div style="width:240px;transform:scale(.5);transform-origin:top left;">${U.sanitizePreview(content)}</div>`
+   };
+  } catch (err) {
+   console.warn(`⚠️ ${b.label} not found or failed to load.`, err);
+   return null;
+  }
+ }
+
+ /**
+  * Loads every manifest block through a bounded pool and hands each group to
+  * onGroup (in manifest order within the group) as soon as all its files are in.
+  */
+ async function loadManifestBlocks(onGroup) {
+  const manifest = await loadBlockManifest();
+  await BlockCache.open(manifest.version);
+  const entries = manifest.groups.map(group => ({ group, loaded: new Array(group.blocks.length).fill(null), remaining: group.blocks.length }));
+  const jobs = [];
+  entries.forEach(entry => entry.group.blocks.forEach((b, i) => jobs.push({ entry, b, i })));
+  await U.mapLimit(jobs, CONFIG.blockConcurrency, async ({ entry, b, i }) => {
+   entry.loaded[i] = await loadFileBlock(b);
+   if (--entry.remaining === 0) {
+    try { onGroup(entry.loaded.filter(Boolean), entry.group); } catch (e) { console.warn('Registering block group failed', entry.group.id, e); }
+   }
+  });
+ }
+
+ /* ============================
+    Shortcode grammar and HTML conversion: shortcodes.js (window.CMSShortcodes)
+    ============================ */
+ let Shortcodes, SHORTCODE_ATTR, SHORTCODE_SKIP_TAGS, readAttributeShortcodes, serializeShortcodeHtml, deserializeShortcodes;
+
+ async function loadShortcodes() {
+  ({ Shortcodes, SHORTCODE_ATTR, SHORTCODE_SKIP_TAGS, readAttributeShortcodes, serializeShortcodeHtml, deserializeShortcodes } = await loadHelperScript('CMSShortcodes', CONFIG.shortcodesScriptUrl));
+ }
+
+ /* ============================
+    Shortcode renderer (batched + cached)
+    - render(shortcode) resolves to the rendered HTML, or null when the backend has no
+      output for it; it rejects on transport errors.
+    - Calls made within CONFIG.shortcodeBatchDelay go out as one batch request
+      ({ shortcodes: [...] } -> { html: { [shortcode]: html } }); without a batch endpoint
+      it falls back to one CONFIG.shortcodeRenderUrl request per shortcode.
+    - Rendered HTML is cached in memory and sessionStorage by normalized shortcode string.
+    ============================ */
+ const ShortcodeRenderer = {
+  cache: null,
+  pending: new Map(),
+  queue: new Map(),
+  timer: null,
+  batchSupported: true,
+
+  // Same shortcode, same key: whitespace and quoting are unified and named attributes sorted
+  // (positional ones keep their order).
+  normalize(shortcode) {
+   const text = String(shortcode || '').trim();
+   const nodes = Shortcodes.parse(text);
+   if (nodes.length !== 1 || nodes[0].type !== 'shortcode') return text.replace(/\s+/g, ' ');
+   const node = nodes[0];
+   const named = node.attrs.filter(a => a.name).sort((x, y) => (x.name < y.name ? -1 : x.name > y.name ? 1 : 0));
+   const open = Shortcodes.build(node.name, node.attrs.filter(a => !a.name).concat(named), node.selfClosing);
+   return node.children ? open + Shortcodes.serialize(node.children) + `[/${node.name}]` : open;
+  },
+
+  store() {
+   if (!this.cache) {
+    this.cache = new Map();
+    try {
+     const saved = JSON.parse(sessionStorage.getItem(CONFIG.shortcodeCacheKey) || '{}');
+     Object.entries(saved).forEach(([k, v]) => { if (typeof v === 'string') this.cache.set(k, v); });
+    } catch (e) { /* storage unavailable or corrupt */ }
+   }
+   return this.cache;
+  },
+
+  remember(key, html) {
+   const cache = this.store();
+   cache.delete(key);
+   cache.set(key, html);
+   while (cache.size > CONFIG.shortcodeCacheLimit) cache.delete(cache.keys().next().value);
+   this.persist();
+  },
+
+  persist: U.debounce(() => {
+   try { sessionStorage.setItem(CONFIG.shortcodeCacheKey, JSON.stringify(Object.fromEntries(ShortcodeRenderer.store()))); } catch (e) { /* quota: keep memory cache only */ }
+  }, 500),
+
+  // Drops one shortcode string ("[name ...]") or every cached variant of a shortcode name.
+  invalidate(shortcodeOrName) {
+   const cache = this.store();
+   const value = String(shortcodeOrName || '').trim();
+   if (value.startsWith('[')) cache.delete(this.normalize(value));
+   else Array.from(cache.keys()).forEach(k => { if (k.startsWith(`[${value} `) || k.startsWith(`[${value}]`)) cache.delete(k); });
+   this.persist();
+  },
+
+  render(shortcode) {
+   const key = this.normalize(shortcode);
+   const cache = this.store();
+   if (cache.has(key)) return Promise.resolve(cache.get(key));
+   if (this.pending.has(key)) return this.pending.get(key);
+   const promise = new Promise((resolve, reject) => this.queue.set(key, { shortcode: String(shortcode).trim(), resolve, reject }));
+   this.pending.set(key, promise);
+   promise.then(html => { if (typeof html === 'string') this.remember(key, html); }, U.noop).finally(() => this.pending.delete(key));
+   if (!this.timer) this.timer = setTimeout(() => this.flush(), CONFIG.shortcodeBatchDelay);
+   return promise;
+  },
+
+  // Resolves to a Map of shortcode -> html (null = not found, undefined = failed to load).
+  async renderMany(shortcodes) {
+   const entries = await Promise.all(Array.from(new Set(shortcodes)).map(sc => this.render(sc).then(html => [sc, html], () => [sc, undefined])));
+   return new Map(entries);
+  },
+
+  async flush() {
+   this.timer = null;
+   const batch = Array.from(this.queue.values());
+   this.queue.clear();
+   if (!batch.length) return;
    try {
-    if (follow == 1) {
-     content = await loadBlockFiles(
-      `/js/blocks/${pathname}/${pathname}${i}/${pathname}.html`,
-      `/js/blocks/${pathname}/${pathname}${i}/${pathname}.css`
-     );
-    } else {
-     content = await loadBlockFiles(`/js/blocks/${pathname}/${pathname}${i}.html`);
-    }
-    if (!content) continue;
-    arr.push({
-     id: `${pathname}${i}`,
-     label: `${labelname} ${i}`,
-     category: `UI/${labelname}`,
-     content,
-     hoverPreview: `<div style="width:240px;transform:scale(.5);transform-origin:top left;">${U.sanitizePreview(content)}</div>`
-    });
-   } catch (err) {
-    console.warn(`⚠️ ${labelname} ${i} not found or failed to load.`, err);
+    const results = this.batchSupported ? await this.fetchBatch(batch.map(b => b.shortcode)) : null;
+    const map = results || await this.fetchSingly(batch.map(b => b.shortcode));
+    batch.forEach(b => (map[b.shortcode] instanceof Error ? b.reject(map[b.shortcode]) : b.resolve(map[b.shortcode] || null)));
+   } catch (e) {
+    batch.forEach(b => b.reject(e));
+   }
+  },
+
+  // Returns null when the backend has no batch endpoint.
+  async fetchBatch(shortcodes) {
+   const res = await fetch(CONFIG.shortcodeBatchUrl, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json', Accept: 'application/json' }, U.csrfTokenHeader()),
+    body: JSON.stringify({ shortcodes })
+   });
+   if (res.status === 404 || res.status === 405) {
+    this.batchSupported = false;
+    return null;
+   }
+   if (!res.ok) throw new Error(`Batch render failed (${res.status})`);
+   const json = await res.json();
+   return (json && typeof json.html === 'object' && json.html) || {};
+  },
+
+  async fetchSingly(shortcodes) {
+   const map = {};
+   await U.mapLimit(shortcodes, 4, async (shortcode) => {
+    try {
+     const json = await fetch(CONFIG.shortcodeRenderUrl, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, U.csrfTokenHeader()),
+      body: JSON.stringify({ shortcode })
+     }).then(r => r.json());
+     map[shortcode] = json.html || null;
+    } catch (e) {
+     map[shortcode] = e instanceof Error ? e : new Error(String(e));
+    }
+   });
+   return map;
+  }
+ };
+
+ /* ============================
+    Line diff (LCS) used by the revisions panel
+    - Returns [{ type: 'same' | 'del' | 'add', text }]; very large changed regions
+      fall back to "all removed, all added" to keep memory bounded.
+    ============================ */
+ function diffLines(a, b) {
+  const A = String(a || '').split('\n');
+  const B = String(b || '').split('\n');
+  let start = 0;
+  while (start < A.length && start < B.length && A[start] === B[start]) start++;
+  let endA = A.length;
+  let endB = B.length;
+  while (endA > start && endB > start && A[endA - 1] === B[endB - 1]) { endA--; endB--; }
+
+  const ops = A.slice(0, start).map(text => ({ type: 'same', text }));
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > 4e6) {
+   A.slice(start, endA).forEach(text => ops.push({ type: 'del', text }));
+   B.slice(start, endB).forEach(text => ops.push({ type: 'add', text }));
+  } else {
+   const w = m + 1;
+   const lcs = new Uint32Array((n + 1) * w);
+   for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+     lcs[i * w + j] = A[start + i] === B[start + j] ? lcs[(i + 1) * w + j + 1] + 1 : Math.max(lcs[(i + 1) * w + j], lcs[i * w + j + 1]);
+    }
+   }
+   let i = 0;
+   let j = 0;
+   while (i < n && j < m) {
+    if (A[start + i] === B[start + j]) { ops.push({ type: 'same', text: A[start + i] }); i++; j++; }
+    else if (lcs[(i + 1) * w + j] >= lcs[i * w + j + 1]) { ops.push({ type: 'del', text: A[start + i] }); i++; }
+    else { ops.push({ type: 'add', text: B[start + j] }); j++; }
+   }
+   while (i < n) ops.push({ type: 'del', text: A[start + i++] });
+   while (j < m) ops.push({ type: 'add', text: B[start + j++] });
+  }
+  A.slice(endA).forEach(text => ops.push({ type: 'same', text }));
+  return ops;
+ }
+
+ /* ============================
+    Image optimization before upload
+    - Decodes with EXIF orientation applied, scales to maxDimension and re-encodes on a canvas,
+      which also drops EXIF/GPS metadata
+    - GIF (may be animated) and SVG pass through untouched
+    - Falls back to WebP, then JPEG, when the browser cannot encode the requested format;
+      images with transparent pixels fall back to PNG instead and are never written as JPEG
+    - A file that needed no resizing keeps the original when re-encoding does not make it smaller
+    ============================ */
+ const OPTIMIZE_EXTENSIONS = { 'image/webp': 'webp', 'image/avif': 'avif', 'image/jpeg': 'jpg', 'image/png': 'png' };
+
+ function canvasToBlob(canvas, type, quality) {
+  if (canvas.convertToBlob) return canvas.convertToBlob({ type, quality });
+  return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+ }
+
+ function hasTransparency(ctx, width, height) {
+  const data = ctx.getImageData(0, 0, width, height).data;
+  for (let i = 3; i < data.length; i += 4) if (data[i] < 255) return true;
+  return false;
+ }
+
+ async function decodeImage(file) {
+  if (typeof createImageBitmap === 'function') {
+   try { return await createImageBitmap(file, { imageOrientation: 'from-image' }); } catch (e) { /* fall back to <img> */ }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+   const img = new Image();
+   img.src = url;
+   await img.decode();
+   return img;
+  } finally {
+   URL.revokeObjectURL(url);
+  }
+ }
+
+ // Resolves to { file, before, after, width, height, optimized }; `file` is the original when skipped.
+ async function optimizeImage(file, opts = {}) {
+  const skipped = { file, before: file.size, after: file.size, optimized: false };
+  if (!/^image\/(jpeg|png|webp|avif|bmp)$/.test(file.type)) return skipped;
+  const image = await decodeImage(file);
+  const srcW = image.width || image.naturalWidth;
+  const srcH = image.height || image.naturalHeight;
+  const max = Number(opts.maxDimension) || 0;
+  const scale = max && Math.max(srcW, srcH) > max ? max / Math.max(srcW, srcH) : 1;
+  const width = Math.round(srcW * scale);
+  const height = Math.round(srcH * scale);
+
+  const canvas = typeof OffscreenCanvas === 'function' ? new OffscreenCanvas(width, height) : Object.assign(document.createElement('canvas'), { width, height });
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(image, 0, 0, width, height);
+  if (image.close) image.close();
+
+  // JPEG has no alpha channel; the canvas would flatten transparent pixels onto black.
+  const alpha = file.type !== 'image/jpeg' && hasTransparency(ctx, width, height);
+  const wanted = opts.format || file.type;
+  const formats = alpha ? [wanted, 'image/webp', 'image/png'].filter(type => type !== 'image/jpeg') : [wanted, 'image/webp', 'image/jpeg'];
+  let blob = null;
+  for (const type of formats) {
+   blob = await canvasToBlob(canvas, type, opts.quality);
+   // Unsupported encoders silently return PNG; try the next format instead.
+   if (blob && blob.type === type) break;
+  }
+  if (!blob || (scale === 1 && blob.size >= file.size)) return skipped;
+  const ext = OPTIMIZE_EXTENSIONS[blob.type] || 'img';
+  const name = file.name.replace(/\.[^.]+$/, '') + '.' + ext;
+  return { file: new File([blob], name, { type: blob.type, lastModified: Date.now() }), before: file.size, after: blob.size, width, height, optimized: true };
+ }
+
+ /* ============================
+    Responsive images on save
+    - Variants come from the media backend: { width, height, variants: [{ url, width }] }
+    - Per-image traits: data-responsive="false" opts out, sizes overrides the default,
+      loading="eager" keeps above-the-fold images from being lazy-loaded
+    ============================ */
+ const ImageVariants = {
+  cache: new Map(),
+
+  get(src) {
+   if (!this.cache.has(src)) {
+    const request = fetchJson(`${CONFIG.imageVariantsUrl}?src=${encodeURIComponent(src)}`);
+    // Failed lookups are not cached so the next save tries again.
+    request.then(data => { if (!data) this.cache.delete(src); });
+    this.cache.set(src, request);
    }
+   return this.cache.get(src);
+  }
+ };
+
+ // Space-separated names of the attributes applyResponsiveImages wrote itself. Only those are
+ // ever replaced or removed later; author-set width/height/sizes/srcset are left alone.
+ const GENERATED_IMG_ATTR = 'data-generated-attrs';
+
+ function generatedImgAttrs(img) {
+  return new Set(String(img.getAttribute(GENERATED_IMG_ATTR) || '').split(/\s+/).filter(Boolean));
+ }
+
+ // <img> tags outside comments, script, style and textarea; only these are rewritten, the
+ // rest of the markup is passed through as the editor produced it.
+ const IMG_TAG_PATTERN = /<!--[\s\S]*?-->|<(script|style|textarea)\b[\s\S]*?<\/\1\s*>|<img\b(?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+
+ function parseImgTag(tag) {
+  const template = document.createElement('template');
+  template.innerHTML = tag;
+  const img = template.content.firstElementChild;
+  return img && img.tagName === 'IMG' ? img : null;
+ }
+
+ function applyVariantInfo(img, info) {
+  const generated = generatedImgAttrs(img);
+  const owned = name => !img.hasAttribute(name) || generated.has(name);
+  const write = (name, value) => {
+   if (!owned(name)) return;
+   img.setAttribute(name, value);
+   generated.add(name);
+  };
+  const drop = name => {
+   if (!generated.has(name)) return;
+   img.removeAttribute(name);
+   generated.delete(name);
+  };
+  if (info && info.width && info.height && owned('width') && owned('height')) {
+   write('width', info.width);
+   write('height', info.height);
+  } else {
+   drop('width');
+   drop('height');
+  }
+  const list = ((info && info.variants) || []).filter(v => v && v.url && v.width).sort((a, b) => a.width - b.width);
+  if (list.length && owned('srcset')) {
+   write('srcset', list.map(v => `${v.url} ${v.width}w`).join(', '));
+   write('sizes', generated.has('sizes') ? img.getAttribute('sizes') : CONFIG.imageDefaultSizes);
+  } else {
+   drop('srcset');
+   drop('sizes');
+  }
+  if (generated.size) img.setAttribute(GENERATED_IMG_ATTR, Array.from(generated).join(' '));
+  else img.removeAttribute(GENERATED_IMG_ATTR);
+ }
+
+ async function applyResponsiveImages(html) {
+  const source = String(html || '');
+  const tags = [];
+  source.replace(IMG_TAG_PATTERN, (match, skipped, offset) => {
+   if (skipped || match.startsWith('<!--')) return match;
+   const img = parseImgTag(match);
+   const src = img && img.getAttribute('src');
+   // data:/blob: URLs and shortcode placeholders have no variants on the media backend.
+   if (src && !/^(data|blob):/.test(src) && !src.includes('[')) tags.push({ offset, length: match.length, img });
+   return match;
+  });
+  if (!tags.length) return source;
+  const responsive = tags.map(t => t.img).filter(img => img.getAttribute('data-responsive') !== 'false');
+  const variants = new Map();
+  await U.mapLimit(Array.from(new Set(responsive.map(img => img.getAttribute('src')))), 4, async src => {
+   variants.set(src, await ImageVariants.get(src));
+  });
+
+  let out = '';
+  let last = 0;
+  tags.forEach(({ offset, length, img }) => {
+   if (!img.getAttribute('loading')) img.setAttribute('loading', 'lazy');
+   if (img.getAttribute('loading') === 'lazy' && !img.hasAttribute('decoding')) img.setAttribute('decoding', 'async');
+   if (img.getAttribute('loading') === 'eager' && !img.hasAttribute('fetchpriority')) img.setAttribute('fetchpriority', 'high');
+   // Opted out or no variant info: only what this pass generated earlier is removed.
+   applyVariantInfo(img, img.getAttribute('data-responsive') === 'false' ? null : variants.get(img.getAttribute('src')));
+   out += source.slice(last, offset) + img.outerHTML;
+   last = offset + length;
+  });
+  return out + source.slice(last);
+ }
+
+ /* ============================
+    Color contrast (WCAG 2)
+    - parseCssColor handles the rgb()/rgba() strings from getComputedStyle and #hex
+    ============================ */
+ function parseCssColor(value) {
+  const v = String(value || '').trim();
+  let m = v.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/i);
+  if (m) {
+   const a = m[4] === undefined ? 1 : (m[4].endsWith('%') ? parseFloat(m[4]) / 100 : parseFloat(m[4]));
+   return { r: +m[1], g: +m[2], b: +m[3], a };
+  }
+  m = v.match(/^#([0-9a-f]{3,8})$/i);
+  if (m) {
+   let hex = m[1];
+   if (hex.length <= 4) hex = hex.split('').map(c => c + c).join('');
+   return { r: parseInt(hex.slice(0, 2), 16), g: parseInt(hex.slice(2, 4), 16), b: parseInt(hex.slice(4, 6), 16), a: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1 };
   }
-  return arr;
+  if (v === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  return null;
+ }
+
+ // Composites a (possibly translucent) color over an opaque background.
+ function blendColors(top, bottom) {
+  const a = top.a === undefined ? 1 : top.a;
+  return { r: top.r * a + bottom.r * (1 - a), g: top.g * a + bottom.g * (1 - a), b: top.b * a + bottom.b * (1 - a), a: 1 };
+ }
+
+ function relativeLuminance({ r, g, b }) {
+  const lin = c => { const s = c / 255; return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4); };
+  return 0.2126 * lin(r) + 0.7152 * lin(g) + 0.0722 * lin(b);
+ }
+
+ function contrastRatio(fg, bg) {
+  const l1 = relativeLuminance(fg);
+  const l2 = relativeLuminance(bg);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
  }
 
  /* ============================
     DOMContentLoaded: main bootstrap
     ============================ */
  document.addEventListener('DOMContentLoaded', async function () {
+  // Everything below reads and writes shortcodes and block CSS, so the editor does not start without them.
+  try {
+   await Promise.all([loadShortcodes(), loadCssScope()]);
+  } catch (e) {
+   console.error('builder.js: a required helper script is missing', e);
+   const container = document.getElementById('gjs');
+   if (container) container.textContent = `The page builder could not start: ${e.message}. Reload the page or contact an administrator.`;
+   return;
+  }
+
   /* Prefill meta panel if provided */
   if (window.META_DATA) {
    try {
@@ -154,52 +836,41 @@
 
    if (META_DATA.custom) {
     try {
-     const customTags = JSON.parse(META_DATA.custom);
-     const container = document.getElementById('meta-list');
-     customTags.forEach(tag => {
-      const row = document.createElement('div');
-      row.classList.add('flex', 'space-x-2', 'mb-2');
-      row.innerHTML = `
-              <input type="text" value="${U.escAttr(tag.name)}" class="flex-1 px-2 py-1 text-black rounded meta-name">
-              <input type="text" value="${U.escAttr(tag.content)}" class="flex-1 px-2 py-1 text-black rounded meta-content">
-              <button class="bg-red-600 text-white px-2 rounded remove-meta">x</button>
-            `;
-      container.appendChild(row);
-      row.querySelector('.remove-meta').addEventListener('click', () => row.remove());
-     });
+     setCustomMetaRows(JSON.parse(META_DATA.custom));
     } catch (err) {
      console.error('Error parsing custom meta tags', err);
     }
    }
   }
 
-  /* Load block file groups (non-blocking but awaited) */
-  let aboutBlocks = [], bannerBlocks = [], blogBlocks = [], contactBlocks = [], counterBlocks = [],
-   footerBlocks = [], galleryBlocks = [], heroBlocks = [], productBlocks = [], reviewBlocks = [],
-   serviceBlocks = [], socialBlocks = [], stepBlocks = [], subscribeBlocks = [], teamBlocks = [],
-   visionBlocks = [], whyBlocks = [], workBlocks = [];
+  function addCustomMetaRow(container, tag) {
+   const row = document.createElement('div');
+   row.classList.add('flex', 'space-x-2', 'mb-2');
+   row.innerHTML = `
+              <input type="text" value="${U.escAttr(tag.name || '')}" placeholder="name" class="flex-1 px-2 py-1 text-black rounded meta-name">
+              <input type="text" value="${U.escAttr(tag.content || '')}" placeholder="content" class="flex-1 px-2 py-1 text-black rounded meta-content">
+              <button class="bg-red-600 text-white px-2 rounded remove-meta">x</button>
+            `;
+   container.appendChild(row);
+   row.querySelector('.remove-meta').addEventListener('click', () => row.remove());
+   return row;
+  }
+
+  function setCustomMetaRows(tags) {
+   const container = document.getElementById('meta-list');
+   if (!container) return;
+   container.innerHTML = '';
+   (Array.isArray(tags) ? tags : []).forEach(tag => addCustomMetaRow(container, tag));
+  }
 
-  try {
-   aboutBlocks = await loadComponents(aboutBlocks, 'about', 'About', 16, 0);
-   bannerBlocks = await loadComponents(bannerBlocks, 'banner', 'Banner', 4, 0);
-   blogBlocks = await loadComponents(blogBlocks, 'blog', 'Blog', 13, 0);
-   contactBlocks = await loadComponents(contactBlocks, 'contact', 'Contact', 15, 0);
-   counterBlocks = await loadComponents(counterBlocks, 'counter', 'Counter', 3, 0);
-   footerBlocks = await loadComponents(footerBlocks, 'footer', 'Footer', 8, 0);
-   galleryBlocks = await loadComponents(galleryBlocks, 'gallery', 'Gallery', 8, 0);
-   heroBlocks = await loadComponents(heroBlocks, 'hero', 'Hero', 12, 0);
-   productBlocks = await loadComponents(productBlocks, 'product', 'Product', 13, 0);
-   reviewBlocks = await loadComponents(reviewBlocks, 'review', 'Review', 18, 0);
-   serviceBlocks = await loadComponents(serviceBlocks, 'service', 'Service', 23, 0);
-   socialBlocks = await loadComponents(socialBlocks, 'social', 'Social', 1, 0);
-   stepBlocks = await loadComponents(stepBlocks, 'step', 'Step', 5, 0);
-   subscribeBlocks = await loadComponents(subscribeBlocks, 'subscribe', 'Subscribe', 6, 0);
-   teamBlocks = await loadComponents(teamBlocks, 'team', 'Team', 14, 0);
-   visionBlocks = await loadComponents(visionBlocks, 'vision', 'Vision', 3, 0);
-   whyBlocks = await loadComponents(whyBlocks, 'why', 'Why', 9, 0);
-   workBlocks = await loadComponents(workBlocks, 'work', 'Work', 7, 0);
-  } catch (e) {
-   console.warn('loadComponents overall error', e);
+  // Rows with an empty name are dropped; content may be empty.
+  function getCustomMetaRows() {
+   const container = document.getElementById('meta-list');
+   if (!container) return [];
+   return Array.from(container.querySelectorAll('.meta-name')).map(nameEl => ({
+    name: nameEl.value.trim(),
+    content: (nameEl.parentElement.querySelector('.meta-content')?.value || '').trim()
+   })).filter(tag => tag.name);
   }
 
   /* Inline base blocks */
@@ -216,7 +887,7 @@
     category: 'Layout',
     content: {
      tagName: 'section',
-     attributes: { style: 'padding:40px; background:#eee; min-height:120px; border:1px dashed #ccc;' },
+     attributes: { style: 'padding:var(--space-lg, 40px); background:var(--color-surface, #eee); min-height:120px; border:1px dashed #ccc;' },
      components: '<div style="text-align:center; color:#888;">Drop content here</div>',
      droppable: true,
      draggable: true,
@@ -265,12 +936,12 @@
    { id: 'form', label: 'Form', category: 'Forms', content: '<form><input type="text" placeholder="Name"><br><input type="email" placeholder="Email"><br><button>Submit</button></form>' },
    { id: 'input', label: 'Input', category: 'Forms', content: '<input type="text" placeholder="Your name">' },
    { id: 'textarea', label: 'Textarea', category: 'Forms', content: '<textarea placeholder="Your message"></textarea>' },
-   { id: 'card', label: 'Card', category: 'UI', content: '<div style="border:1px solid #ccc; padding:15px; border-radius:6px;"><h4>Card Title</h4><p>Card description goes here.</p><button>Read More</button></div>' },
-   { id: 'navbar', label: 'Navbar', category: 'UI', content: '<nav style="display:flex; background:#333; color:white; padding:10px;"><div style="flex:1;">Logo</div><div><a href="#" style="color:white; margin-right:10px;">Home</a><a href="#" style="color:white;">About</a></div></nav>' },
-   { id: 'footer', label: 'Footer', category: 'UI', content: '<footer style="background:#222; color:white; padding:20px; text-align:center;"><p>Copyright © 2025</p></footer>' },
-   { id: 'alert', label: 'Alert Box', category: 'UI', content: '<div style="padding:10px; background:#f9c; color:#333;">Alert message</div>' },
-   { id: 'badge', label: 'Badge', category: 'UI', content: '<span style="padding:5px 10px; background:#3498db; color:white; border-radius:10px;">Badge</span>' },
-   { id: 'progress', label: 'Progress Bar', category: 'UI', content: '<div style="background:#ddd; height:20px;"><div style="width:60%; height:100%; background:#2ecc71;"></div></div>' },
+   { id: 'card', label: 'Card', category: 'UI', content: '<div style="border:1px solid var(--color-border, #ccc); padding:var(--space-md, 15px); border-radius:var(--radius-md, 6px);"><h4>Card Title</h4><p>Card description goes here.</p><button>Read More</button></div>' },
+   { id: 'navbar', label: 'Navbar', category: 'UI', content: '<nav style="display:flex; background:var(--color-dark, #333); color:var(--color-background, white); padding:10px;"><div style="flex:1;">Logo</div><div><a href="#" style="color:inherit; margin-right:10px;">Home</a><a href="#" style="color:inherit;">About</a></div></nav>' },
+   { id: 'footer', label: 'Footer', category: 'UI', content: '<footer style="background:var(--color-darker, #222); color:var(--color-background, white); padding:20px; text-align:center;"><p>Copyright © 2025</p></footer>' },
+   { id: 'alert', label: 'Alert Box', category: 'UI', content: '<div style="padding:10px; background:#f9c; color:var(--color-text, #333);">Alert message</div>' },
+   { id: 'badge', label: 'Badge', category: 'UI', content: '<span style="padding:5px 10px; background:var(--color-accent, #3498db); color:white; border-radius:var(--radius-lg, 10px);">Badge</span>' },
+   { id: 'progress', label: 'Progress Bar', category: 'UI', content: '<div style="background:#ddd; height:20px;"><div style="width:60%; height:100%; background:var(--color-secondary, #2ecc71);"></div></div>' },
   ];
 
   /* ============================
@@ -295,6 +966,8 @@
      },
     ],
    },
+   deviceManager: { devices: CONFIG.devices.map(({ icon, ...device }) => device) },
+   mediaCondition: 'max-width',
    blockManager: { appendTo: '#blocks' },
    layerManager: { appendTo: '#layers' },
    styleManager: { appendTo: '#styles' },
@@ -347,6 +1020,8 @@
   /* ============================
      Style Sync Module (resilient)
      - Keeps CSS rules in CssComposer synced with component styles.
+     - Only the base #id rule (no media query, no :state) mirrors the component style;
+       per-device and :hover/:focus rules for the same id are left alone.
      ============================ */
   (function styleSyncModule(editorInstance) {
    if (!editorInstance || !editorInstance.CssComposer || !editorInstance.getWrapper) return;
@@ -391,18 +1066,67 @@
     return false;
    }
 
-   function findRulesForSelector(selectorName) {
+   const ruleGet = (rule, key) => (rule && typeof rule.get === 'function' ? rule.get(key) : rule && rule[key]) || '';
+
+   // Rules without a media query, :state or other at-rule wrapper.
+   function isBaseRule(rule) {
+    return !ruleGet(rule, 'mediaText') && !ruleGet(rule, 'state') && !ruleGet(rule, 'atRuleType');
+   }
+
+   // All rules for the selector, or only those matching { mediaText, state } when given.
+   function findRulesForSelector(selectorName, context) {
     const all = cssComposer.getAll ? cssComposer.getAll() : (cssComposer.get && cssComposer.get('rules')) || [];
     const matches = [];
     try {
      const arr = (all && all.models) ? all.models : (Array.isArray(all) ? all : []);
      for (const r of arr) {
-      if (ruleHasSelector(r, selectorName)) matches.push(r);
+      if (!ruleHasSelector(r, selectorName)) continue;
+      if (context && (ruleGet(r, 'mediaText') !== (context.mediaText || '') || ruleGet(r, 'state') !== (context.state || ''))) continue;
+      matches.push(r);
      }
     } catch (e) { /* ignore */ }
     return matches;
    }
 
+   const findBaseRules = (selectorName) => findRulesForSelector(selectorName).filter(isBaseRule);
+
+   // Media query of the selected device plus the selector state picked in the selector manager.
+   function currentRuleContext() {
+    let mediaText = '';
+    let state = '';
+    try {
+     const device = editorInstance.Devices && editorInstance.Devices.get(editorInstance.getDevice());
+     const widthMedia = device && device.get('widthMedia');
+     if (widthMedia) mediaText = `(${editorInstance.getConfig().mediaCondition || 'max-width'}: ${widthMedia})`;
+    } catch (e) { /* no device manager */ }
+    try { state = (editorInstance.SelectorManager.getState && editorInstance.SelectorManager.getState()) || ''; } catch (e) { /* ignore */ }
+    return { mediaText, state };
+   }
+
+   // Applies style properties where the Style Manager would: the component itself on desktop
+   // without a state, otherwise the #id rule for the active breakpoint/state.
+   function applyStyle(model, style, context) {
+    if (!model || !style) return;
+    const ctx = Object.assign(currentRuleContext(), context || {});
+    if (!ctx.mediaText && !ctx.state) {
+     model.addStyle ? model.addStyle(style) : model.setStyle(Object.assign({}, model.getStyle(), style));
+     return;
+    }
+    const id = ensureComponentId(model);
+    const opts = { mediaText: ctx.mediaText, state: ctx.state };
+    try {
+     if (typeof cssComposer.setIdRule === 'function') {
+      const existing = cssComposer.getIdRule && cssComposer.getIdRule(id, opts);
+      cssComposer.setIdRule(id, Object.assign({}, existing ? existing.getStyle() : {}, style), opts);
+     } else {
+      const rule = findRulesForSelector(`#${id}`, opts)[0] || cssComposer.add([`#${id}`], ctx.state, ctx.mediaText);
+      rule.setStyle(Object.assign({}, rule.getStyle(), style));
+     }
+    } catch (e) {
+     console.warn('StyleSync: could not write the breakpoint rule for', id, e);
+    }
+   }
+
    function syncComponentStyleToRule(model) {
     if (!model) return;
     if (model.__styleSyncLock) return;
@@ -412,7 +1136,7 @@
     if (failedSelectors.has(selector)) return;
 
     const styleObj = (typeof model.getStyle === 'function') ? model.getStyle() : (model.get && model.get('style')) || {};
-    const rules = findRulesForSelector(selector);
+    const rules = findBaseRules(selector);
 
     try {
      if (!rules.length) {
@@ -424,13 +1148,13 @@
        }
        let newRule = null;
        if (added && (added.get || added.set)) newRule = added;
-       else newRule = findRulesForSelector(selector)[0] || null;
+       else newRule = findBaseRules(selector)[0] || null;
 
        if (!newRule) {
         // Fallback: try object shape
         try {
          cssComposer.add && cssComposer.add({ selectors: [{ name: selector }], style: Object.assign({}, styleObj) });
-         newRule = findRulesForSelector(selector)[0] || null;
+         newRule = findBaseRules(selector)[0] || null;
         } catch (eFallback) {
          failedSelectors.add(selector);
          console.warn('StyleSync: failed to add rule for', selector, eFallback);
@@ -452,6 +1176,7 @@
       try { primary.set && primary.set('style', Object.assign({}, styleObj)); } catch (e) {
        try { primary.setStyle && primary.setStyle(Object.assign({}, styleObj)); } catch (e2) { console.warn('StyleSync: update failed for', selector, e2); }
       }
+      // Only true duplicates of the base rule are dropped.
       for (let i = 1; i < rules.length; i++) {
        try { rules[i].remove && rules[i].remove(); } catch (e) { /* ignore */ }
       }
@@ -467,6 +1192,7 @@
      const all = cssComposer.getAll ? cssComposer.getAll() : (cssComposer.get && cssComposer.get('rules')) || [];
      const arr = (all && all.models) ? all.models : (Array.isArray(all) ? all : []);
      for (const rule of arr) {
+      if (!isBaseRule(rule)) continue;
       const sels = rule.selectors?.models || (rule.getSelectors ? rule.getSelectors().models : (rule.get && rule.get('selectors')?.models || []));
       if (!sels || !sels.length) continue;
       for (const s of sels) {
@@ -496,10 +1222,13 @@
     const id = model.getId && model.getId();
     if (!id) return;
     const selector = `#${id}`;
-    const rules = findRulesForSelector(selector);
-    rules.forEach(r => {
-     try { r.remove && r.remove(); } catch (e) { console.warn('StyleSync: failed to remove rule', selector, e); }
-    });
+    // Moving a component removes and re-adds it; keep its (breakpoint) rules in that case.
+    setTimeout(() => {
+     if (wrapper() && wrapper().find(selector).length) return;
+     findRulesForSelector(selector).forEach(r => {
+      try { r.remove && r.remove(); } catch (e) { console.warn('StyleSync: failed to remove rule', selector, e); }
+     });
+    }, 0);
    }
 
    function attachStyleListenerTo(model) {
@@ -534,7 +1263,7 @@
      const id = model.getId && model.getId();
      if (id) {
       const selector = `#${id}`;
-      const rules = findRulesForSelector(selector);
+      const rules = findBaseRules(selector);
       if (rules.length > 0) {
        const primary = rules[0];
        const styleObj = primary.get('style') || {};
@@ -574,10 +1303,34 @@
     syncComponentStyleToRule,
     removeRulesForComponent,
     findRulesForSelector,
+    currentRuleContext,
+    applyStyle,
     failedSelectors
    };
   })(editor);
 
+  /* ============================
+     Device preview
+     - One toolbar button per CONFIG.devices entry; the active one is highlighted
+     ============================ */
+  (function deviceModule(editorInstance) {
+   const buttons = CONFIG.devices.map(device => {
+    const btn = U.toolbarButton(`btn-device-${device.id}`, `${device.icon || ''} ${device.name}`.trim(), () => editorInstance.setDevice(device.id));
+    if (btn) btn.title = device.widthMedia ? `${device.name}: styles apply up to ${device.widthMedia}` : `${device.name}: base styles`;
+    return { device, btn };
+   });
+   const highlight = () => {
+    const active = editorInstance.getDevice();
+    buttons.forEach(({ device, btn }) => {
+     if (!btn) return;
+     btn.style.outline = device.id === active ? '2px solid #60a5fa' : '';
+     btn.setAttribute('aria-pressed', String(device.id === active));
+    });
+   };
+   editorInstance.on('change:device', highlight);
+   editorInstance.on('load', highlight);
+  })(editor);
+
   /* ============================
      Asset Manager / Media UI
      ============================ */
@@ -585,6 +1338,18 @@
    const am = editorInstance.AssetManager;
    let currentPage = 1;
    let hasMorePages = true;
+   // Set while a field (e.g. a shortcode media field) is waiting for an image instead of the selection.
+   let pickCallback = null;
+   // Folder being browsed ('' = library root) and its direct subfolders as returned by the server.
+   let currentFolder = '';
+   let folders = [];
+   // Server-side search/filter/sort; any change reloads the library from page 1.
+   const filters = { search: '', type: '', date: '', size: '', sort: 'newest' };
+   // In-flight page request; responses from an outdated request (older filters/folder) are dropped.
+   let loading = null;
+   let requestSeq = 0;
+   let sentinel = null;
+   let sentinelObserver = null;
 
    // Custom asset type loader
    am.addType && am.addType('custom', {
@@ -604,22 +1369,71 @@
     }
    });
 
-   async function loadPage(page, callback) {
-    currentPage = page;
-    try {
-     const res = await fetch(`/admin/media/list?page=${page}&limit=20`, { cache: 'no-cache', credentials: 'same-origin', headers: { Accept: 'application/json' } });
-     const data = await res.json();
-     const imgs = (data.images || []).map(img => ({ type: 'image', src: img.src, name: img.name || img.src.split('/').pop(), folder: img.folder || '' }));
-     hasMorePages = !!data.hasMore;
-     imgs.forEach(img => am.add && am.add(img));
-     if (callback) callback(imgs);
-     setTimeout(() => {
+   function loadPage(page, callback) {
+    // A newer first page replaces whatever is loading; further pages wait for the current request.
+    if (loading && page !== 1) return loading;
+    const seq = ++requestSeq;
+    const params = new URLSearchParams({ page, limit: 20, folder: currentFolder });
+    Object.keys(filters).forEach(k => { if (filters[k]) params.set(k, filters[k]); });
+    loading = (async () => {
+     try {
+      const res = await fetch(`/admin/media/list?${params}`, { cache: 'no-cache', credentials: 'same-origin', headers: { Accept: 'application/json' } });
+      const data = await res.json();
+      if (seq !== requestSeq) return;
+      currentPage = page;
+      // Listed images belong to the requested folder, whatever label the server gives it.
+      const imgs = (data.images || []).map(img => Object.assign({ type: 'image', src: img.src, name: img.name || img.src.split('/').pop(), folder: currentFolder, id: img.id }, pickMeta(img)));
+      hasMorePages = !!data.hasMore;
+      if (page === 1) folders = (data.folders || []).map(f => (typeof f === 'string' ? { name: f.split('/').pop(), path: f } : f));
+      imgs.forEach(img => am.add && am.add(img));
+      if (callback) callback(imgs);
       renderCustomMediaUI();
-      if (hasMorePages) addLoadMoreButton();
-     }, 100);
-    } catch (err) {
-     console.error('❌ Media load error:', err);
+      window.updateMediaStatus && window.updateMediaStatus();
+     } catch (err) {
+      console.error('❌ Media load error:', err);
+      hasMorePages = false;
+     } finally {
+      if (seq === requestSeq) loading = null;
+     }
+    })();
+    return loading;
+   }
+
+   // Clears the loaded assets and fetches page 1 for the current folder and filters.
+   function reloadLibrary() {
+    hasMorePages = true;
+    if (am.getAll) am.getAll().reset([]);
+    const container = document.querySelector('#assets .gjs-am-assets-cont');
+    if (container) container.scrollTop = 0;
+    return loadPage(1, null);
+   }
+
+   // Infinite scroll: a sentinel after the grid loads the next page when it scrolls into view.
+   function getSentinel(container) {
+    if (!sentinel) {
+     sentinel = document.createElement('div');
+     sentinel.id = 'media-scroll-sentinel';
+     sentinel.style.cssText = 'padding:12px;text-align:center;color:#6b7280;font-size:11px;';
     }
+    if (typeof IntersectionObserver === 'function' && (!sentinelObserver || sentinelObserver.root !== container)) {
+     if (sentinelObserver) sentinelObserver.disconnect();
+     sentinelObserver = new IntersectionObserver(entries => {
+      if (entries.some(e => e.isIntersecting)) loadNextPage();
+     }, { root: container, rootMargin: '200px' });
+     sentinelObserver.observe(sentinel);
+    }
+    sentinel.textContent = hasMorePages ? 'Loading more…' : '';
+    return sentinel;
+   }
+
+   function loadNextPage() {
+    if (!hasMorePages || loading) return;
+    loadPage(currentPage + 1, null).then(() => {
+     // A short page can leave the sentinel visible without a new intersection event.
+     const container = document.querySelector('#assets .gjs-am-assets-cont');
+     if (!container || !sentinel || !sentinel.isConnected) return;
+     if (sentinel.getBoundingClientRect().top < container.getBoundingClientRect().bottom + 200) loadNextPage();
+    });
    }
 
    function renderCustomMediaUI() {
@@ -646,10 +1460,31 @@
      uploadSection.innerHTML = `
             <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:10px;">
               <span id="media-status" style="color:#888;font-size:12px;">${totalImages > 0 ? `${totalImages} images loaded` : 'No images yet'}</span>
-              <span style="color:#666;font-size:11px;">20 per page</span>
+              <button type="button" id="media-new-folder" style="padding:4px 8px;background:#1f2937;color:#ddd;border:1px solid #374151;border-radius:6px;cursor:pointer;font-size:11px;">📁+ New folder</button>
+            </div>
+            <div id="media-breadcrumbs" style="display:flex;flex-wrap:wrap;gap:4px;align-items:center;margin-bottom:10px;font-size:12px;color:#9ca3af;"></div>
+            <input type="search" id="media-search" placeholder="🔍 Search filename or alt text" style="width:100%;padding:6px 8px;margin-bottom:6px;background:#111827;color:#e5e7eb;border:1px solid #374151;border-radius:6px;font-size:12px;">
+            <div id="media-filters" style="display:grid;grid-template-columns:repeat(2,1fr);gap:6px;margin-bottom:10px;">
+              <select data-filter="type"><option value="">All types</option><option value="jpeg">JPEG</option><option value="png">PNG</option><option value="gif">GIF</option><option value="webp">WebP</option><option value="svg">SVG</option></select>
+              <select data-filter="date"><option value="">Any date</option><option value="7d">Last 7 days</option><option value="30d">Last 30 days</option><option value="1y">Last year</option></select>
+              <select data-filter="size"><option value="">Any size</option><option value="small">Small (&lt; 800px)</option><option value="medium">Medium (800–1920px)</option><option value="large">Large (&gt; 1920px)</option></select>
+              <select data-filter="sort"><option value="newest">Newest first</option><option value="oldest">Oldest first</option><option value="name">Name A–Z</option><option value="size">Largest first</option></select>
             </div>
             <label for="media-upload-input" style="display:block;width:100%;padding:10px;background:#2563eb;color:white;text-align:center;border-radius:6px;cursor:pointer;font-weight:600;">📤 Upload New Image</label>
             <input type="file" id="media-upload-input" accept="image/*" multiple style="display:none;">
+            <details id="media-optimize" style="margin-top:8px;color:#9ca3af;font-size:11px;">
+              <summary style="cursor:pointer;">⚙️ Optimize before upload</summary>
+              <div style="display:grid;grid-template-columns:auto 1fr;gap:6px 8px;align-items:center;margin-top:6px;">
+                <label for="opt-enabled">Enabled</label><input type="checkbox" id="opt-enabled" data-opt="enabled">
+                <label for="opt-max">Max size</label>
+                <select id="opt-max" data-opt="maxDimension"><option value="1280">1280px</option><option value="1920">1920px</option><option value="2560">2560px</option><option value="3840">3840px</option><option value="0">Original</option></select>
+                <label for="opt-format">Format</label>
+                <select id="opt-format" data-opt="format"><option value="image/webp">WebP</option><option value="image/avif">AVIF</option><option value="">Keep original</option></select>
+                <label for="opt-quality">Quality</label>
+                <span style="display:flex;gap:6px;align-items:center;"><input type="range" id="opt-quality" data-opt="quality" min="0.4" max="1" step="0.02" style="flex:1;"><span id="opt-quality-value"></span></span>
+              </div>
+            </details>
+            <div id="media-upload-report" style="display:none;margin-top:8px;max-height:120px;overflow-y:auto;font-size:11px;color:#9ca3af;"></div>
           `;
 
      const gridContainer = document.createElement('div');
@@ -663,13 +1498,34 @@
 
      const uploadInput = document.getElementById('media-upload-input');
      uploadInput.addEventListener('change', handleUpload);
+     bindPanelDrop(wrapperEl);
+     document.getElementById('media-new-folder').addEventListener('click', createFolder);
+     renderBreadcrumbs();
+
+     bindOptimizeSettings(wrapperEl);
+
+     const searchInput = document.getElementById('media-search');
+     searchInput.value = filters.search;
+     searchInput.addEventListener('input', U.debounce(() => {
+      if (searchInput.value.trim() === filters.search) return;
+      filters.search = searchInput.value.trim();
+      reloadLibrary();
+     }, 350));
+     wrapperEl.querySelectorAll('#media-filters select').forEach(sel => {
+      sel.style.cssText = 'padding:4px 6px;background:#111827;color:#e5e7eb;border:1px solid #374151;border-radius:6px;font-size:11px;';
+      sel.value = filters[sel.dataset.filter];
+      sel.addEventListener('change', () => {
+       filters[sel.dataset.filter] = sel.value;
+       reloadLibrary();
+      });
+     });
 
      renderAssetsGrid(gridContainer);
 
      window.updateMediaStatus = function () {
       const statusEl = document.getElementById('media-status');
       if (statusEl) {
-       const count = am.getAll ? am.getAll().length : 0;
+       const count = am.getAll ? am.getAll().filter(inCurrentFolder).length : 0;
        statusEl.textContent = count > 0 ? `${count} images loaded` : 'No images yet';
       }
      };
@@ -678,61 +1534,679 @@
     }
    }
 
-   function renderAssetsGrid(container) {
-    const assets = (am.getAll ? am.getAll().slice() : []);
-    assets.sort((a, b) => {
-     const aRecent = a.get && a.get('recent');
-     const bRecent = b.get && b.get('recent');
-     return (bRecent ? 1 : 0) - (aRecent ? 1 : 0);
-    });
+   // Editorial metadata stored per asset by the media backend.
+   // decorative is '1' or '': a decorative image is inserted with alt="" and role="presentation".
+   const MEDIA_META_FIELDS = ['alt', 'title', 'caption', 'copyright', 'decorative'];
 
-    if (assets.length === 0) {
-     container.innerHTML = '<div style="padding:60px 20px;text-align:center;color:#888;min-height:200px;">No media</div>';
-     return;
-    }
+   function pickMeta(source) {
+    const meta = {};
+    MEDIA_META_FIELDS.forEach(k => { meta[k] = (source && (typeof source.get === 'function' ? source.get(k) : source[k])) || ''; });
+    return meta;
+   }
 
-    const grid = document.createElement('div');
-    grid.className = 'gjs-am-assets';
-    grid.style.cssText = 'display:grid;grid-template-columns:repeat(2,1fr);gap:10px;padding:10px;grid-auto-rows:max-content;';
+   // Writes asset metadata onto an image component; a figure's figcaption gets the caption.
+   function applyMetaToImage(cmp, meta) {
+    const attrs = Object.assign({}, cmp.getAttributes(), { alt: meta.decorative ? '' : meta.alt || '' });
+    if (meta.decorative) attrs.role = 'presentation';
+    else if (attrs.role === 'presentation') delete attrs.role;
+    [['title', meta.title], ['data-copyright', meta.copyright]].forEach(([k, v]) => {
+     if (v) attrs[k] = v;
+     else delete attrs[k];
+    });
+    cmp.setAttributes(attrs);
+    const parent = cmp.parent && cmp.parent();
+    if (meta.caption && parent && parent.get('tagName') === 'figure') {
+     const caption = parent.components().find(c => c.get('tagName') === 'figcaption');
+     if (caption) caption.components(U.escapeHtml(meta.caption));
+    }
+   }
 
-    assets.forEach(asset => {
-     const assetEl = document.createElement('div');
-     assetEl.className = 'gjs-am-asset';
-     assetEl.style.cssText = 'position:relative;cursor:pointer;border:2px solid #444;aspect-ratio:1/1;border-radius:10px;overflow:hidden;background:#0f0f0f;';
+   function pageImagesUsing(src) {
+    const wrapperComp = editor.getWrapper();
+    return wrapperComp ? wrapperComp.find('img').filter(c => (c.getAttributes().src || c.get('src')) === src) : [];
+   }
 
-     const imgSrc = asset.get('src');
-     const imgName = asset.get('name') || '';
+   function openAssetDetails(asset) {
+    const ui = document.querySelector('#assets .custom-media-ui');
+    if (!ui) return;
+    ui.style.position = 'relative';
+    const old = ui.querySelector('.media-details');
+    if (old) old.remove();
+    const meta = pickMeta(asset);
+    const drawer = document.createElement('div');
+    drawer.className = 'media-details';
+    drawer.style.cssText = 'position:absolute;inset:0;z-index:5;overflow-y:auto;padding:12px;background:#0a0e27;border-radius:8px;color:#e5e7eb;font-size:12px;animation:fadeIn .15s;';
+    const input = (key, label, multiline, hint) => `
+      <label style="display:block;margin:10px 0 4px;font-weight:600;">${label}</label>
+      ${multiline
+       ? `<textarea data-meta="${key}" rows="3" class="gjs-trait-input" style="width:100%;">${U.escapeHtml(meta[key])}</textarea>`
+       : `<input data-meta="${key}" value="${U.escAttr(meta[key])}" class="gjs-trait-input" style="width:100%;">`}
+      ${hint ? `<div style="color:#6b7280;font-size:10px;margin-top:2px;">${hint}</div>` : ''}`;
+    drawer.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;">
+        <strong>Image details</strong>
+        <button type="button" data-act="close" style="background:none;border:none;color:#9ca3af;font-size:16px;cursor:pointer;">✕</button>
+      </div>
+      <img src="${U.escAttr(asset.get('src'))}" alt="" style="width:100%;max-height:160px;object-fit:contain;margin-top:8px;background:#000;border-radius:6px;">
+      <div style="margin-top:4px;color:#9ca3af;word-break:break-all;">${U.escapeHtml(asset.get('name') || '')}</div>
+      ${input('alt', 'Alt text', true, 'Describe what the image shows.')}
+      <label style="display:flex;gap:6px;align-items:center;margin-top:6px;"><input type="checkbox" data-meta="decorative" ${meta.decorative ? 'checked' : ''}> Decorative only (screen readers skip it)</label>
+      ${input('title', 'Title')}
+      ${input('caption', 'Caption', true)}
+      ${input('copyright', 'Copyright / credit')}
+      <div data-role="status" style="margin-top:10px;min-height:14px;color:#9ca3af;"></div>
+      <button type="button" data-act="save" style="width:100%;margin-top:6px;padding:8px;background:#2563eb;color:white;border:none;border-radius:6px;cursor:pointer;font-weight:600;">Save details</button>
+      <div style="margin-top:14px;font-weight:600;">Where it is used</div>
+      <div data-role="usage" style="margin-top:4px;color:#9ca3af;">⏳ Checking…</div>
+      <div style="display:grid;grid-template-columns:repeat(3,1fr);gap:6px;margin-top:12px;">
+        <button type="button" data-act="rename" style="padding:6px;background:#374151;color:white;border:none;border-radius:6px;cursor:pointer;">✏️ Rename</button>
+        <button type="button" data-act="replace" style="padding:6px;background:#374151;color:white;border:none;border-radius:6px;cursor:pointer;">🔁 Replace</button>
+        <button type="button" data-act="delete" style="padding:6px;background:#b91c1c;color:white;border:none;border-radius:6px;cursor:pointer;">🗑 Delete</button>
+      </div>
+      <button type="button" data-act="edit-image" style="width:100%;margin-top:6px;padding:6px;background:#374151;color:white;border:none;border-radius:6px;cursor:pointer;">✂️ Crop &amp; focal point for selected element</button>
+      <input type="file" data-role="replace-input" accept="image/*" style="display:none;">`;
+    ui.appendChild(drawer);
+    const status = drawer.querySelector('[data-role="status"]');
+    drawer.querySelector('[data-act="close"]').addEventListener('click', () => drawer.remove());
+    bindAssetActions(asset, drawer, status);
+    drawer.querySelector('[data-act="edit-image"]').addEventListener('click', () => {
+     const selected = editor.getSelected();
+     if (!selected) { alert('⚠️ Please select an element on the canvas first'); return; }
+     openImageEditor(asset, selected);
+    });
+    drawer.querySelector('[data-act="save"]').addEventListener('click', async () => {
+     const next = {};
+     drawer.querySelectorAll('[data-meta]').forEach(el => { next[el.dataset.meta] = el.type === 'checkbox' ? (el.checked ? '1' : '') : el.value.trim(); });
+     status.textContent = '⏳ Saving…';
+     try {
+      await mediaPost('/admin/media/meta', Object.assign({ id: asset.get('id'), src: asset.get('src') }, next));
+      asset.set(next);
+      status.textContent = next.alt && next.alt === asset.get('name') ? '✅ Saved — ⚠️ the alt text is just the file name' : '✅ Saved';
+     } catch (err) {
+      console.error('Media meta save error:', err);
+      status.textContent = `❌ ${err.message}`;
+      return;
+     }
+     const outdated = pageImagesUsing(asset.get('src')).filter(cmp => {
+      const attrs = cmp.getAttributes();
+      return (attrs.alt || '') !== (next.decorative ? '' : next.alt) || (attrs.role === 'presentation') !== !!next.decorative ||
+       (attrs.title || '') !== next.title || (attrs['data-copyright'] || '') !== next.copyright;
+     });
+     if (outdated.length && confirm(`Update alt text, title and credit on ${outdated.length} image(s) already on this page?`)) {
+      outdated.forEach(cmp => applyMetaToImage(cmp, next));
+      status.textContent = `✅ Saved and updated ${outdated.length} image(s) on the page`;
+     }
+    });
+   }
+
+   // Media URLs are matched without their query string, so cache-busted copies still count.
+   const bareMediaUrl = url => String(url || '').split(/[?#]/)[0];
+   // Whole URLs are compared, resolved against the page, so /media/a.jpg never matches
+   // /media/a.jpg.webp or /media/ba.jpg and relative and absolute spellings still agree.
+   const mediaKey = url => {
+    const bare = bareMediaUrl(String(url || '').trim());
+    try { return bare && new URL(bare, window.location.href).href; } catch (e) { return bare; }
+   };
+   const CSS_URL_PATTERN = /url\(\s*(['"]?)(.*?)\1\s*\)/g;
+   const cssUrls = value => Array.from(String(value || '').matchAll(CSS_URL_PATTERN), m => m[2]);
+   const srcsetUrls = value => String(value || '').split(',').map(c => c.trim().split(/\s+/)[0]).filter(Boolean);
+   const swapCssUrls = (value, src, next) => String(value).replace(CSS_URL_PATTERN, (m, quote, url) => (mediaKey(url) === mediaKey(src) ? `url(${quote}${next}${quote})` : m));
+   const swapSrcsetUrls = (value, src, next) => String(value).split(',').map(c => c.trim()).filter(Boolean).map(c => {
+    const [url, ...descriptors] = c.split(/\s+/);
+    return [mediaKey(url) === mediaKey(src) ? next : url].concat(descriptors).join(' ');
+   }).join(', ');
+
+   // References to a media URL in the page being edited: <img> src/srcset, inline background
+   // styles and CSS rules. Returns [{ kind, label, target }].
+   function findMediaReferences(src) {
+    const refs = [];
+    const wrapperComp = editor.getWrapper();
+    if (!wrapperComp || !src) return refs;
+    const key = mediaKey(src);
+    const inCss = v => cssUrls(v).some(url => mediaKey(url) === key);
+    wrapperComp.find('*').forEach(cmp => {
+     const attrs = cmp.getAttributes();
+     const label = cmp.getName ? cmp.getName() : (cmp.get('tagName') || 'component');
+     if (mediaKey(attrs.src || cmp.get('src')) === key || srcsetUrls(attrs.srcset).some(url => mediaKey(url) === key)) refs.push({ kind: 'src', label, target: cmp });
+     const style = cmp.getStyle ? cmp.getStyle() : {};
+     if (Object.keys(style).some(k => inCss(style[k]))) refs.push({ kind: 'background-image', label, target: cmp });
+    });
+    editor.CssComposer.getAll().forEach(rule => {
+     const style = rule.getStyle();
+     if (Object.keys(style).some(k => inCss(style[k]))) refs.push({ kind: 'css', label: rule.selectorsToString ? rule.selectorsToString() : 'CSS rule', target: rule });
+    });
+    return refs;
+   }
+
+   // Points every reference in the current page from oldSrc to newSrc; returns how many were changed.
+   function replaceMediaReferences(oldSrc, newSrc) {
+    const refs = findMediaReferences(oldSrc);
+    refs.forEach(({ kind, target }) => {
+     if (kind === 'src') {
+      const attrs = Object.assign({}, target.getAttributes());
+      if (mediaKey(attrs.src || target.get('src')) === mediaKey(oldSrc)) {
+       attrs.src = newSrc;
+       target.set('src', newSrc);
+      }
+      if (attrs.srcset) attrs.srcset = swapSrcsetUrls(attrs.srcset, oldSrc, newSrc);
+      target.setAttributes(attrs);
+      return;
+     }
+     const style = Object.assign({}, target.getStyle());
+     Object.keys(style).forEach(k => { style[k] = swapCssUrls(style[k], oldSrc, newSrc); });
+     target.setStyle(style);
+    });
+    return refs.length;
+   }
+
+   // Same URL, new file: refetch it past the browser cache and point only the canvas elements at a
+   // cache-busted copy. The component models keep the plain URL, so nothing leaks into saved HTML.
+   async function reloadMediaInCanvas(src) {
+    try { await fetch(src, { cache: 'reload', credentials: 'same-origin' }); } catch (e) { /* the canvas bump below still helps */ }
+    const refs = findMediaReferences(src);
+    const busted = `${bareMediaUrl(src)}?v=${Date.now()}`;
+    refs.forEach(({ kind, target }) => {
+     const el = kind !== 'css' && target.getEl && target.getEl();
+     if (!el) return;
+     if (kind === 'src') {
+      el.removeAttribute('srcset');
+      el.src = busted;
+     } else {
+      el.style.backgroundImage = swapCssUrls(String(el.ownerDocument.defaultView.getComputedStyle(el).backgroundImage), src, busted);
+     }
+    });
+    return refs.length;
+   }
+
+   // Resolves to null when the lookup failed, so callers can tell "unused" from "unknown".
+   async function loadMediaUsage(asset) {
+    const params = new URLSearchParams({ src: asset.get('src') });
+    if (asset.get('id')) params.set('id', asset.get('id'));
+    return fetchJson(`/admin/media/usage?${params}`);
+   }
+
+   function renderUsage(el, usage, localRefs) {
+    const groups = [['pages', 'Pages'], ['blogs', 'Blog posts'], ['components', 'Custom components']];
+    const rows = [];
+    if (localRefs.length) {
+     const counts = localRefs.reduce((m, r) => (m[r.kind] = (m[r.kind] || 0) + 1, m), {});
+     rows.push(`<div>📝 This page (unsaved editor): ${Object.keys(counts).map(k => `${counts[k]}× ${k}`).join(', ')}</div>`);
+    }
+    groups.forEach(([key, label]) => {
+     const items = usage[key] || [];
+     if (!items.length) return;
+     rows.push(`<div style="margin-top:4px;">${label}:</div>` + items.map(it => {
+      const title = U.escapeHtml(it.title || it.name || `#${it.id}`);
+      const how = it.kind || it.type ? ` <span style="color:#6b7280;">(${U.escapeHtml(it.kind || it.type)})</span>` : '';
+      return `<div style="padding-left:10px;">• ${it.url ? `<a href="${U.escAttr(it.url)}" target="_blank" rel="noopener" style="color:#60a5fa;">${title}</a>` : title}${how}</div>`;
+     }).join(''));
+    });
+    el.innerHTML = rows.length ? rows.join('') : '<div>Not used anywhere.</div>';
+   }
+
+   function usageCount(usage, localRefs) {
+    return ['pages', 'blogs', 'components'].reduce((n, k) => n + ((usage[k] || []).length), 0) + localRefs.length;
+   }
+
+   function refreshAssetsGrid() {
+    const container = document.querySelector('#assets .gjs-am-assets-cont');
+    if (container) renderAssetsGrid(container);
+    window.updateMediaStatus && window.updateMediaStatus();
+   }
+
+   function bindAssetActions(asset, drawer, status) {
+    const usageEl = drawer.querySelector('[data-role="usage"]');
+    let usage = null;
+    const usageReady = loadMediaUsage(asset).then(data => {
+     usage = data;
+     if (usage) renderUsage(usageEl, usage, findMediaReferences(asset.get('src')));
+     else usageEl.textContent = '⚠️ Could not check usage on other pages.';
+    });
+
+    drawer.querySelector('[data-act="delete"]').addEventListener('click', async () => {
+     await usageReady;
+     const refs = findMediaReferences(asset.get('src'));
+     let message = 'Delete this image permanently?';
+     if (!usage) {
+      message = `⚠️ Could not check whether other pages use this image${refs.length ? ` (it is used ${refs.length}× on this page)` : ''}. Deleting it may break images elsewhere.\n\nType DELETE to delete it anyway.`;
+      if ((prompt(message) || '').trim() !== 'DELETE') return;
+     } else {
+      const count = usageCount(usage, refs);
+      if (count) message = `This image is still used in ${count} place(s) (listed under "Where it is used"). Deleting it will break those images. Delete anyway?`;
+      if (!confirm(message)) return;
+     }
+     status.textContent = '⏳ Deleting…';
+     try {
+      await mediaPost('/admin/media/delete', { id: asset.get('id'), src: asset.get('src') });
+      am.remove ? am.remove(asset) : am.getAll().remove(asset);
+      drawer.remove();
+      refreshAssetsGrid();
+     } catch (err) {
+      console.error('Media delete error:', err);
+      status.textContent = `❌ ${err.message}`;
+     }
+    });
+
+    drawer.querySelector('[data-act="rename"]').addEventListener('click', async () => {
+     const current = asset.get('name') || asset.get('src').split('/').pop();
+     const name = (prompt('New file name:', current) || '').trim();
+     if (!name || name === current) return;
+     if (/[\\/]/.test(name)) { alert('❌ File names cannot contain slashes'); return; }
+     status.textContent = '⏳ Renaming…';
+     try {
+      const oldSrc = asset.get('src');
+      const result = await mediaPost('/admin/media/rename', { id: asset.get('id'), src: oldSrc, name });
+      const newSrc = result.url || oldSrc;
+      asset.set({ src: newSrc, name: result.name || name });
+      const changed = newSrc !== oldSrc ? replaceMediaReferences(oldSrc, newSrc) : 0;
+      status.textContent = `✅ Renamed${changed ? `; updated ${changed} reference(s) on this page` : ''}`;
+      refreshAssetsGrid();
+      const preview = drawer.querySelector('img');
+      if (preview) preview.src = newSrc;
+     } catch (err) {
+      console.error('Media rename error:', err);
+      status.textContent = `❌ ${err.message}`;
+     }
+    });
+
+    const replaceInput = drawer.querySelector('[data-role="replace-input"]');
+    drawer.querySelector('[data-act="replace"]').addEventListener('click', () => replaceInput.click());
+    replaceInput.addEventListener('change', async () => {
+     const picked = Array.from(replaceInput.files || []);
+     replaceInput.value = '';
+     if (!picked.length) return;
+     const { ready, lines } = await prepareUploads(picked);
+     if (!ready.length) { status.innerHTML = lines.join('<br>'); return; }
+     status.textContent = '⏳ Uploading replacement…';
+     try {
+      const formData = new FormData();
+      formData.append('file', ready[0]);
+      formData.append('src', asset.get('src'));
+      if (asset.get('id')) formData.append('id', asset.get('id'));
+      const res = await fetch('/admin/media/replace', { method: 'POST', credentials: 'same-origin', headers: Object.assign({ Accept: 'application/json' }, U.csrfTokenHeader()), body: formData });
+      const result = await res.json().catch(() => ({}));
+      if (!res.ok || !result.success) throw new Error(result.message || `HTTP ${res.status}`);
+      const oldSrc = asset.get('src');
+      const newSrc = result.url || oldSrc;
+      asset.set({ src: newSrc, name: result.name || asset.get('name') });
+      let changed;
+      if (bareMediaUrl(newSrc) !== bareMediaUrl(oldSrc)) changed = replaceMediaReferences(oldSrc, newSrc);
+      else changed = await reloadMediaInCanvas(oldSrc);
+      status.textContent = `✅ Replaced; ${bareMediaUrl(newSrc) !== bareMediaUrl(oldSrc) ? 'updated' : 'refreshed'} ${changed} reference(s) on this page`;
+      refreshAssetsGrid();
+      const preview = drawer.querySelector('img');
+      if (preview) preview.src = asset.get('src');
+     } catch (err) {
+      console.error('Media replace error:', err);
+      status.textContent = `❌ ${err.message}`;
+     }
+    });
+   }
+
+   const CROP_PRESETS = [['Free', 0], ['1:1', 1], ['4:3', 4 / 3], ['3:2', 3 / 2], ['16:9', 16 / 9], ['21:9', 21 / 9], ['2:3', 2 / 3], ['9:16', 9 / 16]];
+
+   // Crop, focal point and background options for applying an asset to a component.
+   // Images get src + object-position; anything else gets background-* styles. A crop is
+   // uploaded as a new asset next to the original, which stays untouched.
+   function openImageEditor(asset, target) {
+    const isImage = target.get('type') === 'image' || target.get('tagName') === 'img';
+    const current = target.getStyle ? target.getStyle() : {};
+    const overlay = createOverlay(`Edit image — ${asset.get('name') || ''}`);
+    overlay.body.innerHTML = `
+      <div data-role="stage-wrap" style="flex:1;display:flex;align-items:center;justify-content:center;background:#0b0b14;padding:20px;overflow:hidden;">
+        <div data-role="stage" style="position:relative;user-select:none;touch-action:none;overflow:hidden;">
+          <img data-role="image" style="display:block;max-width:100%;max-height:100%;" alt="">
+          <div data-role="crop" style="position:absolute;box-shadow:0 0 0 9999px rgba(0,0,0,.55);outline:1px dashed #fff;cursor:move;">
+            <div data-role="handle" style="position:absolute;right:-6px;bottom:-6px;width:12px;height:12px;background:#fff;border-radius:2px;cursor:nwse-resize;"></div>
+            <div data-role="focal" style="position:absolute;width:18px;height:18px;margin:-9px 0 0 -9px;border:2px solid #fff;border-radius:50%;box-shadow:0 0 0 2px #2563eb;pointer-events:none;"></div>
+          </div>
+        </div>
+      </div>
+      <div style="width:280px;background:#111827;color:#e5e7eb;padding:16px;overflow-y:auto;font-size:12px;">
+        <div data-role="crop-options">
+          <div style="font-weight:600;margin-bottom:6px;">Aspect ratio</div>
+          <div data-role="presets" style="display:flex;flex-wrap:wrap;gap:4px;"></div>
+        </div>
+        <div style="font-weight:600;margin:14px 0 6px;">Mode</div>
+        <label><input type="radio" name="img-edit-mode" value="crop" checked> Move / resize crop</label><br>
+        <label><input type="radio" name="img-edit-mode" value="focal"> Set focal point</label>
+        <div data-role="readout" style="margin-top:8px;color:#9ca3af;"></div>
+        <div data-role="bg-options" style="display:${isImage ? 'none' : 'block'};">
+          <div style="font-weight:600;margin:14px 0 6px;">Background</div>
+          <label style="display:block;margin-bottom:6px;">Size <select data-bg="background-size" class="gjs-trait-input" style="width:100%;"><option>cover</option><option>contain</option><option>auto</option><option>100% 100%</option></select></label>
+          <label style="display:block;margin-bottom:6px;">Repeat <select data-bg="background-repeat" class="gjs-trait-input" style="width:100%;"><option>no-repeat</option><option>repeat</option><option>repeat-x</option><option>repeat-y</option><option>space</option><option>round</option></select></label>
+          <label style="display:block;">Attachment <select data-bg="background-attachment" class="gjs-trait-input" style="width:100%;"><option>scroll</option><option>fixed</option><option>local</option></select></label>
+        </div>
+        <div data-role="status" style="margin-top:14px;color:#9ca3af;"></div>
+      </div>`;
+    const q = role => overlay.body.querySelector(`[data-role="${role}"]`);
+    const img = q('image');
+    const cropEl = q('crop');
+    const focalEl = q('focal');
+    overlay.body.querySelectorAll('[data-bg]').forEach(sel => { if (current[sel.dataset.bg]) sel.value = current[sel.dataset.bg]; });
+
+    // Crop in natural pixels; focal point as fractions of the crop area.
+    let natural = { w: 1, h: 1 };
+    let crop = { x: 0, y: 0, w: 1, h: 1 };
+    let ratio = 0;
+    const focal = { x: 0.5, y: 0.5 };
+    const pos = String(current[isImage ? 'object-position' : 'background-position'] || '').match(/^([\d.]+)%\s+([\d.]+)%$/);
+    if (pos) { focal.x = Number(pos[1]) / 100; focal.y = Number(pos[2]) / 100; }
+    const scale = () => img.clientWidth / natural.w;
+    const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+    function draw() {
+     const k = scale();
+     Object.assign(cropEl.style, { left: `${crop.x * k}px`, top: `${crop.y * k}px`, width: `${crop.w * k}px`, height: `${crop.h * k}px` });
+     Object.assign(focalEl.style, { left: `${focal.x * 100}%`, top: `${focal.y * 100}%` });
+     const cropped = crop.w < natural.w || crop.h < natural.h;
+     q('readout').textContent = `Crop ${Math.round(crop.w)}×${Math.round(crop.h)}${cropped ? '' : ' (full image)'} · focal ${Math.round(focal.x * 100)}% ${Math.round(focal.y * 100)}%`;
+    }
+
+    function applyRatio(r) {
+     ratio = r;
+     if (!r) { crop = { x: 0, y: 0, w: natural.w, h: natural.h }; return draw(); }
+     let w = natural.w;
+     let h = w / r;
+     if (h > natural.h) { h = natural.h; w = h * r; }
+     crop = { x: (natural.w - w) / 2, y: (natural.h - h) / 2, w, h };
+     draw();
+    }
+
+    CROP_PRESETS.forEach(([label, r]) => {
+     const btn = document.createElement('button');
+     btn.type = 'button';
+     btn.textContent = label;
+     btn.style.cssText = 'padding:4px 8px;background:#374151;color:#fff;border:none;border-radius:4px;cursor:pointer;';
+     btn.addEventListener('click', () => {
+      q('presets').querySelectorAll('button').forEach(b => { b.style.background = '#374151'; });
+      btn.style.background = '#2563eb';
+      applyRatio(r);
+     });
+     q('presets').appendChild(btn);
+    });
+
+    let drag = null;
+    cropEl.addEventListener('pointerdown', (e) => {
+     e.preventDefault();
+     const mode = overlay.body.querySelector('input[name="img-edit-mode"]:checked').value;
+     if (mode === 'focal') {
+      const rect = cropEl.getBoundingClientRect();
+      focal.x = clamp((e.clientX - rect.left) / rect.width, 0, 1);
+      focal.y = clamp((e.clientY - rect.top) / rect.height, 0, 1);
+      return draw();
+     }
+     drag = { resize: e.target === q('handle'), startX: e.clientX, startY: e.clientY, start: Object.assign({}, crop) };
+     cropEl.setPointerCapture(e.pointerId);
+    });
+    cropEl.addEventListener('pointermove', (e) => {
+     if (!drag) return;
+     const k = scale();
+     const dx = (e.clientX - drag.startX) / k;
+     const dy = (e.clientY - drag.startY) / k;
+     if (drag.resize) {
+      let w = clamp(drag.start.w + dx, 20, natural.w - drag.start.x);
+      let h = ratio ? w / ratio : clamp(drag.start.h + dy, 20, natural.h - drag.start.y);
+      if (drag.start.y + h > natural.h) { h = natural.h - drag.start.y; if (ratio) w = h * ratio; }
+      crop = Object.assign({}, drag.start, { w, h });
+     } else {
+      crop = Object.assign({}, drag.start, { x: clamp(drag.start.x + dx, 0, natural.w - drag.start.w), y: clamp(drag.start.y + dy, 0, natural.h - drag.start.h) });
+     }
+     draw();
+    });
+    const endDrag = () => { drag = null; };
+    cropEl.addEventListener('pointerup', endDrag);
+    cropEl.addEventListener('pointercancel', endDrag);
+
+    img.onload = () => {
+     natural = { w: img.naturalWidth, h: img.naturalHeight };
+     // Fit the stage inside the available area; the crop overlay is positioned in displayed pixels.
+     const wrap = q('stage-wrap');
+     const fit = Math.min(1, (wrap.clientWidth - 40) / natural.w, (wrap.clientHeight - 40) / natural.h);
+     img.style.width = `${Math.round(natural.w * fit)}px`;
+     img.style.height = `${Math.round(natural.h * fit)}px`;
+     applyRatio(0);
+    };
+    img.onerror = () => { q('status').textContent = '❌ Could not load the image.'; };
+    // Cropping reads the pixels back from a canvas, which the browser only allows for same-origin
+    // images and CORS-enabled hosts; asking anyone else for CORS would fail to load the image.
+    let srcUrl = null;
+    try { srcUrl = new URL(asset.get('src'), window.location.href); } catch (e) { /* left null */ }
+    const canCrop = !!srcUrl && (srcUrl.origin === window.location.origin || ['data:', 'blob:'].includes(srcUrl.protocol) || (CONFIG.corsImageOrigins || []).includes(srcUrl.origin));
+    if (canCrop) {
+     img.crossOrigin = 'anonymous';
+    } else {
+     q('crop-options').style.display = 'none';
+     overlay.body.querySelector('input[name="img-edit-mode"][value="crop"]').disabled = true;
+     overlay.body.querySelector('input[name="img-edit-mode"][value="focal"]').checked = true;
+     q('status').textContent = 'This image is hosted on another site that does not allow editing, so it cannot be cropped here. The focal point can still be set.';
+    }
+    img.src = asset.get('src');
+
+    function applyTo(src) {
+     const position = `${Math.round(focal.x * 100)}% ${Math.round(focal.y * 100)}%`;
+     if (isImage) {
+      target.set('src', src);
+      target.addAttributes({ src });
+      window.__GJSStyleSync.applyStyle(target, { 'object-fit': current['object-fit'] || 'cover', 'object-position': position });
+      applyMetaToImage(target, pickMeta(asset));
+      return;
+     }
+     const styles = { 'background-image': `url('${src}')`, 'background-position': position };
+     overlay.body.querySelectorAll('[data-bg]').forEach(sel => { styles[sel.dataset.bg] = sel.value; });
+     window.__GJSStyleSync.applyStyle(target, styles);
+    }
+
+    async function saveCrop() {
+     const canvas = document.createElement('canvas');
+     canvas.width = Math.round(crop.w);
+     canvas.height = Math.round(crop.h);
+     canvas.getContext('2d').drawImage(img, crop.x, crop.y, crop.w, crop.h, 0, 0, canvas.width, canvas.height);
+     const ext = (asset.get('src').split('?')[0].split('.').pop() || '').toLowerCase();
+     const type = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png' }[ext] || 'image/webp';
+     const blob = await canvasToBlob(canvas, type, CONFIG.optimizeQuality);
+     const base = (asset.get('name') || 'image').replace(/\.[^.]+$/, '');
+     const file = new File([blob], `${base}-${canvas.width}x${canvas.height}.${OPTIMIZE_EXTENSIONS[blob.type] || 'png'}`, { type: blob.type });
+     const result = await sendUpload(file, asset.get('folder') || currentFolder, p => { q('status').textContent = `⏳ Uploading crop… ${Math.round(p * 100)}%`; }).promise;
+     // The derived image inherits the original's alt text, caption and credit.
+     const meta = pickMeta(asset);
+     am.add && am.add(Object.assign({ type: 'image', src: result.url, name: result.url.split('/').pop(), folder: result.folder ?? (asset.get('folder') || currentFolder), id: result.id, recent: true }, meta));
+     if (result.id || MEDIA_META_FIELDS.some(k => meta[k])) mediaPost('/admin/media/meta', Object.assign({ id: result.id, src: result.url, derived_from: asset.get('src') }, meta)).catch(err => console.warn('Derived asset meta save failed:', err));
+     refreshAssetsGrid();
+     return result.url;
+    }
+
+    overlay.addAction('Apply', async () => {
+     const cropped = crop.w < natural.w - 0.5 || crop.h < natural.h - 0.5;
+     try {
+      let src = asset.get('src');
+      if (cropped) {
+       q('status').textContent = '⏳ Saving cropped copy…';
+       src = await saveCrop();
+      }
+      applyTo(src);
+      overlay.close();
+     } catch (err) {
+      console.error('Image edit error:', err);
+      q('status').textContent = `❌ ${err.message}`;
+     }
+    });
+   }
+
+   function inCurrentFolder(asset) {
+    return (asset.get('folder') || '') === currentFolder;
+   }
+
+   function mediaPost(url, body) {
+    return fetch(url, {
+     method: 'POST',
+     credentials: 'same-origin',
+     headers: Object.assign({ 'Content-Type': 'application/json', Accept: 'application/json' }, U.csrfTokenHeader()),
+     body: JSON.stringify(body)
+    }).then(async res => {
+     const data = await res.json().catch(() => ({}));
+     if (!res.ok || data.success === false) throw new Error(data.message || `Request failed (${res.status})`);
+     return data;
+    });
+   }
+
+   // Switches the library to another folder; the loaded assets are replaced by that folder's first page.
+   function openFolder(path) {
+    currentFolder = path || '';
+    folders = [];
+    renderBreadcrumbs();
+    reloadLibrary();
+   }
+
+   function renderBreadcrumbs() {
+    const nav = document.getElementById('media-breadcrumbs');
+    if (!nav) return;
+    const parts = currentFolder ? currentFolder.split('/') : [];
+    const crumbs = [{ label: '🏠 Media', path: '' }].concat(parts.map((name, i) => ({ label: name, path: parts.slice(0, i + 1).join('/') })));
+    nav.innerHTML = '';
+    crumbs.forEach((c, i) => {
+     if (i) nav.appendChild(Object.assign(document.createElement('span'), { textContent: '/' }));
+     const link = document.createElement('button');
+     link.type = 'button';
+     link.textContent = c.label;
+     link.style.cssText = `background:none;border:none;padding:0;cursor:pointer;color:${i === crumbs.length - 1 ? '#fff' : '#60a5fa'};font-size:12px;`;
+     link.addEventListener('click', () => { if (c.path !== currentFolder) openFolder(c.path); });
+     nav.appendChild(link);
+    });
+   }
+
+   async function createFolder() {
+    const name = (prompt('New folder name:') || '').trim();
+    if (!name) return;
+    if (/[\\/]/.test(name)) { alert('❌ Folder names cannot contain slashes'); return; }
+    try {
+     await mediaPost('/admin/media/folders', { parent: currentFolder, name });
+     openFolder(currentFolder);
+    } catch (err) {
+     console.error('Create folder error:', err);
+     alert(`❌ Could not create folder: ${err.message}`);
+    }
+   }
+
+   async function renameFolder(folder) {
+    const name = (prompt('Rename folder to:', folder.name) || '').trim();
+    if (!name || name === folder.name) return;
+    if (/[\\/]/.test(name)) { alert('❌ Folder names cannot contain slashes'); return; }
+    try {
+     await mediaPost('/admin/media/folders/rename', { path: folder.path, name });
+     openFolder(currentFolder);
+    } catch (err) {
+     console.error('Rename folder error:', err);
+     alert(`❌ Could not rename folder: ${err.message}`);
+    }
+   }
+
+   async function moveFolder(folder) {
+    const input = prompt('Move folder into (path, empty for the library root):', currentFolder);
+    if (input === null) return;
+    const parent = input.trim().replace(/^\/+|\/+$/g, '');
+    if (parent === folder.path || parent.startsWith(`${folder.path}/`)) { alert('❌ A folder cannot be moved into itself'); return; }
+    try {
+     await mediaPost('/admin/media/folders/move', { path: folder.path, parent });
+     openFolder(currentFolder);
+    } catch (err) {
+     console.error('Move folder error:', err);
+     alert(`❌ Could not move folder: ${err.message}`);
+    }
+   }
+
+   function renderFolderTile(folder) {
+    const tile = document.createElement('div');
+    tile.className = 'media-folder';
+    tile.style.cssText = 'position:relative;cursor:pointer;border:2px solid #374151;border-radius:10px;padding:12px 8px;background:#111827;color:#e5e7eb;font-size:12px;text-align:center;';
+    tile.innerHTML = `<div style="font-size:28px;line-height:1;">📁</div>
+      <div style="margin-top:6px;font-weight:700;overflow:hidden;white-space:nowrap;text-overflow:ellipsis">${U.escapeHtml(folder.name)}</div>
+      ${folder.count !== undefined ? `<div style="color:#6b7280;font-size:10px;">${Number(folder.count)} items</div>` : ''}
+      <div style="position:absolute;top:4px;right:4px;display:flex;gap:2px;">
+        <button type="button" data-act="rename" title="Rename" style="background:none;border:none;cursor:pointer;">✏️</button>
+        <button type="button" data-act="move" title="Move" style="background:none;border:none;cursor:pointer;">📦</button>
+      </div>`;
+    tile.addEventListener('click', (e) => {
+     const act = e.target.closest('[data-act]');
+     if (act) {
+      e.stopPropagation();
+      if (act.dataset.act === 'rename') renameFolder(folder);
+      else moveFolder(folder);
+      return;
+     }
+     openFolder(folder.path);
+    });
+    return tile;
+   }
+
+   function renderAssetsGrid(container) {
+    const assets = (am.getAll ? am.getAll().filter(inCurrentFolder) : []);
+    assets.sort((a, b) => {
+     const aRecent = a.get && a.get('recent');
+     const bRecent = b.get && b.get('recent');
+     return (bRecent ? 1 : 0) - (aRecent ? 1 : 0);
+    });
+
+    if (assets.length === 0 && folders.length === 0) {
+     const filtered = Object.keys(filters).some(k => k !== 'sort' && filters[k]);
+     container.innerHTML = `<div style="padding:60px 20px;text-align:center;color:#888;min-height:200px;">${filtered ? 'No media matches these filters' : 'No media'}</div>`;
+     return;
+    }
+
+    const grid = document.createElement('div');
+    grid.className = 'gjs-am-assets';
+    grid.style.cssText = 'display:grid;grid-template-columns:repeat(2,1fr);gap:10px;padding:10px;grid-auto-rows:max-content;';
+    folders.forEach(folder => grid.appendChild(renderFolderTile(folder)));
+
+    assets.forEach(asset => {
+     const assetEl = document.createElement('div');
+     assetEl.className = 'gjs-am-asset';
+     assetEl.style.cssText = 'position:relative;cursor:pointer;border:2px solid #444;aspect-ratio:1/1;border-radius:10px;overflow:hidden;background:#0f0f0f;';
+
+     const imgSrc = asset.get('src');
+     const imgName = asset.get('name') || '';
 
      const img = document.createElement('img');
      img.src = imgSrc;
-     img.alt = imgName;
+     img.alt = asset.get('alt') || imgName;
      img.style.cssText = 'width:100%;height:100%;object-fit:cover;display:block;opacity:0;transition:opacity .3s;';
      img.onload = () => img.style.opacity = '1';
      img.onerror = () => img.style.opacity = '0.2';
 
      const metadataDiv = document.createElement('div');
      metadataDiv.style.cssText = 'position:absolute;bottom:0;left:0;right:0;padding:8px;background:linear-gradient(to top,rgba(0,0,0,.9),transparent);color:white;font-size:11px;';
-     metadataDiv.innerHTML = `<div style="font-weight:700;overflow:hidden;white-space:nowrap;text-overflow:ellipsis">${U.escapeHtml(imgName)}</div>`;
+     metadataDiv.innerHTML = `<div style="font-weight:700;overflow:hidden;white-space:nowrap;text-overflow:ellipsis">${U.escapeHtml(imgName)}</div>` +
+      (asset.get('alt') || asset.get('decorative') ? '' : '<div style="color:#fbbf24;font-size:10px;">⚠ No alt text</div>');
+
+     const infoBtn = document.createElement('button');
+     infoBtn.type = 'button';
+     infoBtn.title = 'Edit details';
+     infoBtn.textContent = 'ℹ️';
+     infoBtn.style.cssText = 'position:absolute;top:4px;right:4px;background:rgba(0,0,0,.6);border:none;border-radius:50%;width:24px;height:24px;cursor:pointer;';
+     infoBtn.addEventListener('click', (e) => { e.stopPropagation(); openAssetDetails(asset); });
 
      assetEl.appendChild(img);
      assetEl.appendChild(metadataDiv);
+     assetEl.appendChild(infoBtn);
 
      assetEl.addEventListener('click', () => {
+      if (pickCallback) {
+       const cb = pickCallback;
+       pickCallback = null;
+       window.updateMediaStatus && window.updateMediaStatus();
+       cb(asset.get('src'), asset.get('name'));
+       return;
+      }
       const selected = editor.getSelected();
       if (!selected) { alert('⚠️ Please select an element on the canvas first'); return; }
       try {
        const imageSrc = asset.get('src');
-       const imageName = asset.get('name');
        if (selected.get && (selected.get('type') === 'image' || selected.get('tagName') === 'img')) {
         selected.set('src', imageSrc);
-        selected.addAttributes && selected.addAttributes({ src: imageSrc, alt: imageName, title: imageName });
+        selected.addAttributes && selected.addAttributes({ src: imageSrc });
+        applyMetaToImage(selected, pickMeta(asset));
        } else {
-        const styles = selected.getStyle ? selected.getStyle() : (selected.get && selected.get('style')) || {};
-        styles['background-image'] = `url('${imageSrc}')`;
-        styles['background-size'] = 'cover';
-        styles['background-position'] = 'center';
-        styles['background-repeat'] = 'no-repeat';
-        selected.setStyle && selected.setStyle(styles);
+        openImageEditor(asset, selected);
        }
       } catch (err) {
        console.error('Error applying image:', err);
@@ -743,82 +2217,291 @@
      grid.appendChild(assetEl);
     });
 
+    // Re-rendering replaces the grid; keep the user's place in it.
+    const scrollTop = container.scrollTop;
     container.innerHTML = '';
     container.appendChild(grid);
+    container.appendChild(getSentinel(container));
+    container.scrollTop = scrollTop;
    }
 
-   function addLoadMoreButton() {
-    const container = document.querySelector('#assets .gjs-am-assets-cont');
-    if (!container || !hasMorePages) return;
-    let btn = document.getElementById('media-load-more');
-    if (btn) btn.remove();
-    btn = document.createElement('button');
-    btn.id = 'media-load-more';
-    btn.textContent = 'Load More';
-    btn.style.cssText = 'width:100%;padding:12px;background:#2563eb;color:white;border:none;border-radius:6px;cursor:pointer;margin-top:15px;';
-    btn.addEventListener('click', () => {
-     btn.textContent = 'Loading...';
-     btn.disabled = true;
-     loadPage(currentPage + 1, null);
-     setTimeout(() => {
-      const container = document.querySelector('#assets .gjs-am-assets-cont');
-      if (container) {
-       renderAssetsGrid(container);
-       window.updateMediaStatus && window.updateMediaStatus();
+   function readOptimizeSettings() {
+    const defaults = { enabled: CONFIG.optimizeImages, maxDimension: CONFIG.optimizeMaxDimension, format: CONFIG.optimizeFormat, quality: CONFIG.optimizeQuality };
+    try { return Object.assign(defaults, JSON.parse(localStorage.getItem(CONFIG.optimizeSettingsKey) || '{}')); } catch (e) { return defaults; }
+   }
+
+   function bindOptimizeSettings(root) {
+    const settings = readOptimizeSettings();
+    const qualityLabel = root.querySelector('#opt-quality-value');
+    const showQuality = () => { if (qualityLabel) qualityLabel.textContent = `${Math.round(settings.quality * 100)}%`; };
+    root.querySelectorAll('[data-opt]').forEach(input => {
+     const key = input.dataset.opt;
+     if (input.tagName === 'SELECT') input.style.cssText = 'padding:3px 6px;background:#111827;color:#e5e7eb;border:1px solid #374151;border-radius:6px;font-size:11px;';
+     if (input.type === 'checkbox') input.checked = !!settings[key];
+     else input.value = String(settings[key]);
+     input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+      settings[key] = input.type === 'checkbox' ? input.checked : (key === 'format' ? input.value : Number(input.value));
+      showQuality();
+      try { localStorage.setItem(CONFIG.optimizeSettingsKey, JSON.stringify(settings)); } catch (e) { /* storage full or disabled */ }
+     });
+    });
+    showQuality();
+   }
+
+   function showUploadReport(lines) {
+    const report = document.getElementById('media-upload-report');
+    if (!report) return;
+    report.style.display = lines.length ? 'block' : 'none';
+    report.innerHTML = lines.map(l => `<div>${l}</div>`).join('');
+   }
+
+   // Optimizes (when enabled) and size-checks the picked files; returns { ready, lines }.
+   async function prepareUploads(files) {
+    const settings = readOptimizeSettings();
+    const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+    const ready = [];
+    const lines = [];
+    for (const file of files) {
+     const name = U.escapeHtml(file.name);
+     if (!ALLOWED_TYPES.includes(file.type)) { lines.push(`❌ ${name}: unsupported type`); continue; }
+     let result = { file, before: file.size, after: file.size, optimized: false };
+     if (settings.enabled) {
+      try {
+       result = await optimizeImage(file, { maxDimension: settings.maxDimension, format: settings.format || file.type, quality: settings.quality });
+      } catch (err) {
+       console.warn('Image optimization failed, uploading original:', file.name, err);
       }
-      btn.remove();
-     }, 1500);
+     }
+     if (result.file.size > CONFIG.uploadMaxSize) {
+      lines.push(`❌ ${name}: ${U.formatBytes(result.file.size)} is over the ${U.formatBytes(CONFIG.uploadMaxSize)} limit`);
+      continue;
+     }
+     if (result.optimized) {
+      const saved = result.before ? Math.round((1 - result.after / result.before) * 100) : 0;
+      lines.push(`✅ ${name}: ${U.formatBytes(result.before)} → ${U.formatBytes(result.after)} (${saved >= 0 ? `-${saved}` : `+${-saved}`}%, ${result.width}×${result.height})`);
+     } else {
+      lines.push(`✅ ${name}: ${U.formatBytes(result.before)}`);
+     }
+     ready.push(result.file);
+    }
+    return { ready, lines };
+   }
+
+   // POSTs one file with XHR so progress can be reported; resolves to the server's JSON result.
+   function sendUpload(file, folder, onProgress) {
+    const xhr = new XMLHttpRequest();
+    const promise = new Promise((resolve, reject) => {
+     xhr.open('POST', '/admin/media/upload');
+     xhr.withCredentials = true;
+     const headers = Object.assign({ 'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]')?.content || '', Accept: 'application/json' }, U.csrfTokenHeader());
+     Object.keys(headers).forEach(h => xhr.setRequestHeader(h, headers[h]));
+     xhr.upload.onprogress = (e) => { if (e.lengthComputable) onProgress(e.loaded / e.total); };
+     xhr.onload = () => {
+      let data = null;
+      try { data = JSON.parse(xhr.responseText); } catch (e) { /* non-JSON error page */ }
+      if (xhr.status >= 200 && xhr.status < 300 && data && data.success && data.url) return resolve(data);
+      reject(new Error((data && data.message) || `HTTP ${xhr.status}${xhr.statusText ? ` ${xhr.statusText}` : ''}`));
+     };
+     xhr.onerror = () => reject(new Error('Network error'));
+     xhr.onabort = () => reject(new Error('Cancelled'));
+     const formData = new FormData();
+     formData.append('file', file);
+     formData.append('folder', folder);
+     xhr.send(formData);
     });
-    container.appendChild(btn);
+    return { promise, abort: () => xhr.abort() };
    }
 
-   async function handleUpload(event) {
-    const files = Array.from(event.target.files || []);
-    if (!files.length) return;
-    const MAX_FILE_SIZE = 5 * 1024 * 1024;
-    const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
-    const validFiles = files.filter(f => ALLOWED_TYPES.includes(f.type) && f.size <= MAX_FILE_SIZE);
-    if (!validFiles.length) { alert('❌ No valid image files. Allowed: JPEG, PNG, GIF, WebP (max 5MB each)'); return; }
+   function uploadQueueEl() {
+    let queue = document.getElementById('media-upload-queue');
+    const report = document.getElementById('media-upload-report');
+    if (!queue && report) {
+     queue = document.createElement('div');
+     queue.id = 'media-upload-queue';
+     queue.style.cssText = 'margin-top:8px;max-height:180px;overflow-y:auto;font-size:11px;color:#d1d5db;';
+     report.after(queue);
+    }
+    return queue;
+   }
 
-    const uploadBtn = document.querySelector('.custom-media-ui label');
-    const originalText = uploadBtn ? uploadBtn.textContent : '';
-    if (uploadBtn) uploadBtn.textContent = '⏳ Uploading...';
+   // One queue row per file: progress bar, status and cancel/retry buttons.
+   function createUploadJob(file, folder) {
+    const row = document.createElement('div');
+    row.style.cssText = 'padding:4px 0;border-bottom:1px solid #1f2937;';
+    row.innerHTML = `
+      <div style="display:flex;justify-content:space-between;gap:6px;align-items:center;">
+        <span style="overflow:hidden;white-space:nowrap;text-overflow:ellipsis;">${U.escapeHtml(file.name)}</span>
+        <span data-role="status" style="color:#9ca3af;white-space:nowrap;">Queued</span>
+        <button type="button" data-role="cancel" style="background:none;border:none;color:#f87171;cursor:pointer;">✕</button>
+        <button type="button" data-role="retry" style="display:none;background:none;border:none;color:#60a5fa;cursor:pointer;">↻ Retry</button>
+      </div>
+      <div style="height:4px;background:#1f2937;border-radius:2px;margin-top:3px;"><div data-role="bar" style="height:100%;width:0;background:#2563eb;border-radius:2px;transition:width .2s;"></div></div>`;
+    const queue = uploadQueueEl();
+    if (queue) queue.appendChild(row);
+    const part = role => row.querySelector(`[data-role="${role}"]`);
+    const job = { file, folder, state: 'queued', error: null, request: null, result: null };
+    job.update = (state, text, progress) => {
+     job.state = state;
+     part('status').textContent = text;
+     part('status').style.color = state === 'failed' ? '#f87171' : state === 'done' ? '#34d399' : '#9ca3af';
+     if (progress !== undefined) part('bar').style.width = `${Math.round(progress * 100)}%`;
+     part('bar').style.background = state === 'failed' ? '#ef4444' : state === 'done' ? '#10b981' : '#2563eb';
+     part('cancel').style.display = state === 'queued' || state === 'uploading' ? '' : 'none';
+     part('retry').style.display = state === 'failed' ? '' : 'none';
+    };
+    part('cancel').addEventListener('click', () => {
+     if (job.request) return job.request.abort();
+     // Not started yet: mark it so the pool skips it; Retry can still send it later.
+     job.error = new Error('Cancelled');
+     job.update('failed', 'Cancelled', 0);
+     showUploadSummary(job.batch);
+    });
+    part('retry').addEventListener('click', () => runUploadJob(job).then(() => showUploadSummary(job.batch)));
+    return job;
+   }
 
+   async function runUploadJob(job) {
+    if (job.state === 'done' || job.request) return job;
+    job.error = null;
+    job.update('uploading', '0%', 0);
+    job.request = sendUpload(job.file, job.folder, p => job.update('uploading', `${Math.round(p * 100)}%`, p));
     try {
-     for (const file of validFiles) {
-      const formData = new FormData();
-      formData.append('file', file);
-      const res = await fetch('/admin/media/upload', {
-       method: 'POST',
-       headers: Object.assign({ 'X-CSRF-TOKEN': document.querySelector('meta[name="csrf-token"]')?.content || '' }, U.csrfTokenHeader()),
-       body: formData
-      });
-      if (!res.ok) throw new Error('Upload failed');
-      const result = await res.json();
-      if (result.success && result.url) {
-       am.add && am.add({ type: 'image', src: result.url, name: result.url.split('/').pop(), folder: 'media', recent: true });
-      }
-     }
-     const container = document.querySelector('#assets .gjs-am-assets-cont');
-     if (container) renderAssetsGrid(container);
-     window.updateMediaStatus && window.updateMediaStatus();
+     job.result = await job.request.promise;
     } catch (err) {
-     console.error('Upload error:', err);
-     alert('❌ Upload failed. Please try again.');
+     job.error = err;
+     job.update('failed', err.message, 0);
+     return job;
     } finally {
-     if (uploadBtn) uploadBtn.textContent = originalText;
-     event.target.value = '';
+     job.request = null;
+    }
+    // The file is on the server from here on; a failure below must not mark it for re-upload.
+    job.update('done', 'Uploaded', 1);
+    try {
+     am.add && am.add(Object.assign({ type: 'image', src: job.result.url, name: job.result.url.split('/').pop(), folder: job.result.folder ?? job.folder, id: job.result.id, recent: true }, pickMeta(job.result)));
+     if (job.folder === currentFolder) {
+      const container = document.querySelector('#assets .gjs-am-assets-cont');
+      if (container) renderAssetsGrid(container);
+      window.updateMediaStatus && window.updateMediaStatus();
+     }
+    } catch (err) { console.warn('Media library refresh after upload failed:', err); }
+    if (job.onDone) {
+     try { job.onDone(job.result); } catch (err) {
+      console.error('Upload follow-up failed:', err);
+      job.update('done', `Uploaded, but could not be inserted: ${err.message}`, 1);
+     }
+    }
+    return job;
+   }
+
+   function showUploadSummary(jobs) {
+    if (!jobs || jobs.some(j => j.state === 'queued' || j.state === 'uploading')) return;
+    const failed = jobs.filter(j => j.state === 'failed');
+    const done = jobs.length - failed.length;
+    const status = document.getElementById('media-status');
+    if (status) {
+     status.textContent = failed.length ? `⚠️ ${done} uploaded, ${failed.length} failed` : `✅ ${done} uploaded`;
+     status.title = failed.map(j => `${j.file.name}: ${j.error ? j.error.message : 'failed'}`).join('\n');
+    }
+   }
+
+   // Optimizes, queues and uploads files with CONFIG.uploadConcurrency requests in flight.
+   // onUploaded(result) runs for each successful file (used when dropping onto a canvas image).
+   async function uploadFiles(files, onUploaded) {
+    if (!files.length) return [];
+    const { ready, lines } = await prepareUploads(files);
+    showUploadReport(lines);
+    if (!ready.length) {
+     alert(`❌ No valid image files. Allowed: JPEG, PNG, GIF, WebP, AVIF (max ${U.formatBytes(CONFIG.uploadMaxSize)} each after optimization)`);
+     return [];
     }
+    const jobs = ready.map(file => createUploadJob(file, currentFolder));
+    jobs.forEach(job => { job.batch = jobs; job.onDone = onUploaded; });
+    await U.mapLimit(jobs, CONFIG.uploadConcurrency, job => (job.state === 'queued' ? runUploadJob(job) : job));
+    showUploadSummary(jobs);
+    return jobs;
+   }
+
+   async function handleUpload(event) {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    await uploadFiles(files);
+   }
+
+   // Dropping files anywhere on the media panel uploads them into the current folder.
+   function bindPanelDrop(panel) {
+    const hasFiles = e => Array.from((e.dataTransfer && e.dataTransfer.types) || []).includes('Files');
+    panel.addEventListener('dragover', (e) => {
+     if (!hasFiles(e)) return;
+     e.preventDefault();
+     panel.style.outline = '2px dashed #60a5fa';
+    });
+    panel.addEventListener('dragleave', (e) => { if (!panel.contains(e.relatedTarget)) panel.style.outline = ''; });
+    panel.addEventListener('drop', (e) => {
+     if (!hasFiles(e)) return;
+     e.preventDefault();
+     panel.style.outline = '';
+     uploadFiles(Array.from(e.dataTransfer.files || []));
+    });
+   }
+
+   // Dropping an image file onto an image in the canvas uploads it and swaps that image's src.
+   function bindCanvasImageDrop() {
+    const doc = editorInstance.Canvas.getDocument && editorInstance.Canvas.getDocument();
+    if (!doc || doc._mediaDropBound) return;
+    doc._mediaDropBound = true;
+    const imageAt = (target) => {
+     const img = target && target.closest && target.closest('img');
+     if (!img) return null;
+     return editorInstance.getWrapper().find('img').find(cmp => cmp.getEl() === img) || null;
+    };
+    const hasFiles = e => Array.from((e.dataTransfer && e.dataTransfer.types) || []).includes('Files');
+    doc.addEventListener('dragover', (e) => {
+     if (!hasFiles(e) || !imageAt(e.target)) return;
+     e.preventDefault();
+     e.stopPropagation();
+    }, true);
+    doc.addEventListener('drop', (e) => {
+     const cmp = hasFiles(e) ? imageAt(e.target) : null;
+     if (!cmp) return;
+     e.preventDefault();
+     e.stopPropagation();
+     const file = Array.from(e.dataTransfer.files || []).find(f => f.type.startsWith('image/'));
+     if (!file) return;
+     uploadFiles([file], (result) => {
+      cmp.set('src', result.url);
+      cmp.addAttributes({ src: result.url });
+     });
+    }, true);
    }
 
    window.renderCustomMediaUI = renderCustomMediaUI;
    window.mediaLoadPage = (page) => loadPage(page, null);
 
+   // Opens the media panel in pick mode: the next clicked image is passed to callback(src, name)
+   // instead of being applied to the selected component. An open modal is hidden while picking.
+   window.openMediaPicker = function (callback) {
+    const mdl = document.querySelector('.gjs-mdl-container');
+    const mdlDisplay = mdl ? mdl.style.display : '';
+    if (mdl) mdl.style.display = 'none';
+    const returnTab = document.querySelector('#sidebar-nav button.active');
+    pickCallback = (src, name) => {
+     if (mdl) mdl.style.display = mdlDisplay;
+     if (returnTab && returnTab.id !== 'tab-assets') returnTab.click();
+     callback(src, name);
+    };
+    document.getElementById('tab-assets')?.click();
+    setTimeout(() => {
+     const statusEl = document.getElementById('media-status');
+     if (statusEl) statusEl.textContent = '👆 Click an image to use it';
+    }, 300);
+   };
+
    editorInstance.on('run:open-assets', () => {
     setTimeout(() => { renderCustomMediaUI(); }, 200);
    });
 
    editorInstance.on('load', () => {
+    bindCanvasImageDrop();
     am.load && am.load();
     setTimeout(() => {
      if (am.getAll && am.getAll().length === 0) {
@@ -840,49 +2523,577 @@
   })(editor);
 
   /* ============================
-     Custom component types
+     Shortcode config fields
+     - One editor per field type, shared by the trait panel and the configure modal
+     - Values are kept as strings, exactly as they go into the shortcode
      ============================ */
-  editor.DomComponents.addType('section', {
-   model: {
-    defaults: {
-     droppable: true,
-     editable: true,
-     highlightable: true,
-     draggable: true,
-     attributes: { style: 'min-height:80px; border:1px dashed #ccc;' },
-    },
+  const contentOptionsCache = {};
+
+  // Page/post choices for picker fields; cached per type for the session. Rejects (and caches
+  // nothing) when the list could not be loaded, so a failed request is retried next time.
+  function loadContentOptions(type) {
+   if (!contentOptionsCache[type]) {
+    contentOptionsCache[type] = fetchJson(`${CONFIG.contentListUrl}?type=${encodeURIComponent(type)}`).then(data => {
+     if (!data) {
+      delete contentOptionsCache[type];
+      throw new Error(`Could not load the ${type} list`);
+     }
+     const items = Array.isArray(data) ? data : (data && (data.items || data.data)) || [];
+     const pattern = (CONFIG.contentUrlPatterns || {})[type];
+     return items.map(it => ({
+      value: String(it.id ?? it.slug ?? ''),
+      label: it.title || it.name || String(it.id),
+      url: it.url || (pattern && it.slug ? pattern.replace('{slug}', it.slug) : '')
+     }));
+    });
    }
-  });
+   return contentOptionsCache[type];
+  }
 
-  editor.DomComponents.addType('editable-list', {
-   model: {
-    defaults: {
-     tagName: 'div',
-     attributes: { class: 'editable-list-wrapper' },
-     components: `
-            <style>
-              .editable-list-wrapper { display:block; padding:8px; border:1px dashed #e6e6e6; border-radius:6px; }
-              .editable-list { padding-left: 1.25rem; margin: 0; }
-              .editable-list li { margin: 6px 0; }
-              .add-item-btn { display:inline-block; margin-top:8px; background:#4caf50; color:#fff; border:none; padding:6px 10px; border-radius:6px; cursor:pointer; font-weight:600; }
-              .add-item-btn:hover { opacity:.95; }
-            </style>
-            <ul class="editable-list">
-              <li contenteditable="true">Item 1</li>
-              <li contenteditable="true">Item 2</li>
-            </ul>
-            <button class="add-item-btn" type="button">+ Add item</button>
-          `,
-     script: function () {
-      const root = this;
-      const btn = root.querySelector('.add-item-btn');
-      const ul = root.querySelector('.editable-list');
-      if (!btn || !ul) return;
-      if (btn.__hasListener) return;
-      btn.addEventListener('click', () => {
-       const li = document.createElement('li');
-       li.textContent = 'New Item';
-       li.setAttribute('contenteditable', 'true');
+  const isTruthyValue = v => !['', 'false', '0', 'no', 'off', 'undefined', 'null'].includes(String(v ?? '').toLowerCase());
+
+  function fieldInput(tag, type, cls) {
+   const el = document.createElement(tag);
+   if (type) el.type = type;
+   el.className = cls;
+   return el;
+  }
+
+  const ShortcodeFields = {
+   editors: {
+    text: {
+     create: (f, cls) => {
+      const el = fieldInput('input', ['email', 'url', 'tel'].includes(f.type) ? f.type : 'text', cls);
+      if (f.placeholder || f.default) el.placeholder = f.placeholder || f.default;
+      return el;
+     },
+     read: el => el.value.trim(),
+     write: (el, v) => { el.value = v ?? ''; }
+    },
+    number: {
+     create: (f, cls) => {
+      const el = fieldInput('input', 'number', cls);
+      ['min', 'max', 'step'].forEach(k => { if (f[k] !== undefined) el[k] = f[k]; });
+      return el;
+     },
+     read: el => el.value.trim(),
+     write: (el, v) => { el.value = v ?? ''; }
+    },
+    checkbox: {
+     create: () => fieldInput('input', 'checkbox', 'shortcode-checkbox'),
+     read: el => (el.checked ? 'true' : 'false'),
+     write: (el, v) => { el.checked = isTruthyValue(v); }
+    },
+    color: {
+     create: (f, cls) => fieldInput('input', 'color', cls),
+     read: el => el.value,
+     write: (el, v) => { if (/^#[0-9a-f]{6}$/i.test(v || '')) el.value = v; }
+    },
+    textarea: {
+     create: (f, cls) => {
+      const el = fieldInput('textarea', null, cls);
+      el.rows = f.rows || 4;
+      return el;
+     },
+     read: el => el.value,
+     write: (el, v) => { el.value = v ?? ''; }
+    },
+    date: {
+     create: (f, cls) => fieldInput('input', 'date', cls),
+     read: el => el.value,
+     write: (el, v) => { el.value = v ?? ''; }
+    },
+    select: {
+     create: (f, cls) => {
+      const el = fieldInput('select', null, cls);
+      el.innerHTML = (f.options || []).map(o => {
+       const value = typeof o === 'object' ? o.value ?? o.id : o;
+       const label = typeof o === 'object' ? o.label ?? o.name ?? value : o;
+       return `<option value="${U.escAttr(String(value ?? ''))}">${U.escapeHtml(label)}</option>`;
+      }).join('');
+      return el;
+     },
+     read: el => el.value,
+     write: (el, v) => { if (v !== undefined && v !== null) el.value = v; }
+    },
+    media: {
+     create: (f, cls) => {
+      const wrap = document.createElement('div');
+      wrap.style.cssText = 'display:flex;gap:6px;align-items:center;';
+      const input = fieldInput('input', 'text', cls);
+      input.placeholder = 'Image URL';
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = '🖼 Browse';
+      btn.style.cssText = 'padding:6px 10px;background:#2563eb;color:white;border:none;border-radius:6px;cursor:pointer;white-space:nowrap;';
+      btn.addEventListener('click', () => {
+       if (typeof window.openMediaPicker !== 'function') return;
+       window.openMediaPicker(src => {
+        input.value = src;
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+       });
+      });
+      wrap.appendChild(input);
+      wrap.appendChild(btn);
+      return wrap;
+     },
+     read: el => el.querySelector('input').value.trim(),
+     write: (el, v) => { el.querySelector('input').value = v ?? ''; }
+    },
+    content: {
+     create: (f, cls) => {
+      const el = fieldInput('select', null, cls);
+      el.innerHTML = '<option value="">Loading…</option>';
+      loadContentOptions(f.type === 'post' ? 'post' : 'page').then(opts => {
+       el.innerHTML = `<option value="">— Select ${f.type === 'post' ? 'post' : 'page'} —</option>` +
+        opts.map(o => `<option value="${U.escAttr(o.value)}">${U.escapeHtml(o.label)}</option>`).join('');
+       el.value = el.dataset.value || '';
+      }).catch(() => { el.innerHTML = '<option value="">Could not load the list</option>'; });
+      return el;
+     },
+     read: el => el.value,
+     write: (el, v) => { el.dataset.value = v ?? ''; el.value = v ?? ''; }
+    },
+    // A list of objects stored as JSON; each row edits the sub-fields in f.fields.
+    repeater: {
+     create: (f, cls) => {
+      const wrap = document.createElement('div');
+      wrap.className = 'shortcode-repeater';
+      const list = document.createElement('div');
+      const add = document.createElement('button');
+      add.type = 'button';
+      add.textContent = '+ Add item';
+      add.style.cssText = 'padding:4px 10px;background:#374151;color:white;border:none;border-radius:6px;cursor:pointer;margin-top:4px;';
+      const changed = () => wrap.dispatchEvent(new Event('change', { bubbles: true }));
+      wrap._addRow = (item) => {
+       const row = document.createElement('div');
+       row.className = 'shortcode-repeater-row';
+       row.style.cssText = 'border:1px solid #374151;border-radius:6px;padding:6px;margin-bottom:6px;';
+       (f.fields || []).filter(sub => sub.type !== 'repeater').forEach(sub => {
+        const subEditor = ShortcodeFields.editorFor(sub);
+        const label = document.createElement('label');
+        label.textContent = sub.label || sub.name;
+        label.style.cssText = 'display:block;font-size:11px;opacity:.8;';
+        const input = subEditor.create(sub, cls);
+        input.dataset.sub = sub.name;
+        subEditor.write(input, item[sub.name] ?? sub.default ?? '');
+        row.appendChild(label);
+        row.appendChild(input);
+       });
+       const remove = document.createElement('button');
+       remove.type = 'button';
+       remove.textContent = '✕ Remove';
+       remove.style.cssText = 'font-size:11px;color:#f87171;background:none;border:none;cursor:pointer;';
+       remove.addEventListener('click', () => { row.remove(); changed(); });
+       row.appendChild(remove);
+       list.appendChild(row);
+      };
+      add.addEventListener('click', () => { wrap._addRow({}); changed(); });
+      wrap.appendChild(list);
+      wrap.appendChild(add);
+      return wrap;
+     },
+     read: el => {
+      const rows = Array.from(el.querySelectorAll(':scope > div > .shortcode-repeater-row'));
+      if (!rows.length) return '';
+      return JSON.stringify(rows.map(row => {
+       const item = {};
+       row.querySelectorAll('[data-sub]').forEach(input => {
+        const sub = (el._field.fields || []).find(x => x.name === input.dataset.sub) || {};
+        item[input.dataset.sub] = ShortcodeFields.editorFor(sub).read(input);
+       });
+       return item;
+      }));
+     },
+     write: (el, v) => {
+      let items = [];
+      try { items = v ? JSON.parse(v) : []; } catch (e) { items = []; }
+      el.firstChild.innerHTML = '';
+      (Array.isArray(items) ? items : []).forEach(item => el._addRow(item || {}));
+     }
+    }
+   },
+
+   editorFor(f) {
+    const type = (f && f.type) || 'text';
+    if (type === 'toggle') return this.editors.checkbox;
+    if (type === 'page' || type === 'post') return this.editors.content;
+    return this.editors[type] || this.editors.text;
+   },
+
+   // Builds the input for a field; the field definition travels with the element.
+   create(f, cls) {
+    const el = this.editorFor(f).create(f, cls);
+    el._field = f;
+    return el;
+   },
+
+   toTrait(f) {
+    return { type: 'shortcode-field', name: f.name, label: f.label || f.name, field: f, changeProp: 1 };
+   },
+
+   isBoolean(f) {
+    return f.type === 'checkbox' || f.type === 'toggle';
+   },
+
+   // Returns an error message or null.
+   validate(f, value) {
+    const label = f.label || f.name;
+    const v = value ?? '';
+    if (this.isBoolean(f)) return null;
+    if (v === '' || v === '[]') return f.required ? `${label} is required` : null;
+    if (f.type === 'repeater') {
+     let count = 0;
+     try { count = JSON.parse(v).length; } catch (e) { return `${label} is not a valid list`; }
+     if (f.min !== undefined && count < Number(f.min)) return `${label} needs at least ${f.min} item(s)`;
+     if (f.max !== undefined && count > Number(f.max)) return `${label} allows at most ${f.max} item(s)`;
+     return null;
+    }
+    if (f.type === 'number') {
+     const n = Number(v);
+     if (Number.isNaN(n)) return `${label} must be a number`;
+     if (f.min !== undefined && n < Number(f.min)) return `${label} must be at least ${f.min}`;
+     if (f.max !== undefined && n > Number(f.max)) return `${label} must be at most ${f.max}`;
+    } else if (f.type === 'date') {
+     if (f.min !== undefined && v < String(f.min)) return `${label} must be on or after ${f.min}`;
+     if (f.max !== undefined && v > String(f.max)) return `${label} must be on or before ${f.max}`;
+    } else {
+     if (f.min !== undefined && v.length < Number(f.min)) return `${label} must be at least ${f.min} characters`;
+     if (f.max !== undefined && v.length > Number(f.max)) return `${label} must be at most ${f.max} characters`;
+    }
+    if (f.pattern) {
+     let re = null;
+     try { re = new RegExp(`^(?:${f.pattern})$`); } catch (e) { console.warn('Invalid pattern for shortcode field', f.name, e); }
+     if (re && !re.test(v)) return f.patternMessage || `${label} has an invalid format`;
+    }
+    return null;
+   },
+
+   validateAll(fields, getValue) {
+    return fields.map(f => ({ name: f.name, message: this.validate(f, getValue(f.name)) })).filter(e => e.message);
+   },
+
+   // Attribute list for Shortcodes.build: empty values are left out, booleans are always written.
+   toAttrs(fields, getValue) {
+    return fields.map(f => {
+     const v = getValue(f.name);
+     if (this.isBoolean(f)) return { name: f.name, value: isTruthyValue(v) ? 'true' : 'false' };
+     return { name: f.name, value: v === undefined || v === null ? '' : String(v) };
+    }).filter(a => a.value !== '');
+   },
+
+   defaultValue(f) {
+    if (f.default === undefined || f.default === null) return this.isBoolean(f) ? 'false' : '';
+    if (this.isBoolean(f)) return isTruthyValue(f.default) ? 'true' : 'false';
+    return typeof f.default === 'object' ? JSON.stringify(f.default) : String(f.default);
+   },
+
+   fields(config) {
+    return ((config && config.fields) || []).filter(f => f && Shortcodes.isValidName(f.name));
+   }
+  };
+
+  editor.TraitManager.addType('shortcode-field', {
+   createInput({ trait }) {
+    return ShortcodeFields.create(trait.get('field') || {}, 'gjs-trait-input');
+   },
+   onEvent({ elInput, component, trait }) {
+    component.set(trait.get('name'), ShortcodeFields.editorFor(trait.get('field')).read(elInput));
+   },
+   onUpdate({ elInput, component, trait }) {
+    ShortcodeFields.editorFor(trait.get('field')).write(elInput, component.get(trait.get('name')));
+   }
+  });
+
+  // Validation messages shown at the top of the trait panel; an empty list clears them.
+  function showShortcodeTraitErrors(errors) {
+   const panel = document.getElementById('traits');
+   if (!panel) return;
+   let box = panel.querySelector('.shortcode-trait-errors');
+   if (!errors.length) { if (box) box.remove(); return; }
+   if (!box) {
+    box = document.createElement('div');
+    box.className = 'shortcode-trait-errors';
+    box.style.cssText = 'margin:8px;padding:8px 10px;border-radius:6px;background:rgba(239,68,68,.15);border:1px solid #ef4444;color:#fca5a5;font-size:12px;';
+    panel.prepend(box);
+   }
+   box.innerHTML = errors.map(e => `<div>⚠️ ${U.escapeHtml(e.message)}</div>`).join('');
+  }
+
+  /* ============================
+     Link picker trait
+     - Builds href from a link kind (url/page/post/anchor/email/tel/file) plus target/rel options
+     - Page and post links also record data-link-type/data-link-id so the pre-save scan can
+       notice when the target was deleted
+     ============================ */
+  const LINK_KINDS = [
+   { id: 'url', name: 'URL' },
+   { id: 'page', name: 'Page' },
+   { id: 'post', name: 'Blog post' },
+   { id: 'anchor', name: 'Anchor on this page' },
+   { id: 'email', name: 'Email' },
+   { id: 'tel', name: 'Phone' },
+   { id: 'file', name: 'Media file' }
+  ];
+
+  // Best guess of the kind for an existing href, so hand-typed links open on the right tab.
+  function linkKindOf(attrs) {
+   const href = attrs.href || '';
+   if (attrs['data-link-type'] === 'page' || attrs['data-link-type'] === 'post') return attrs['data-link-type'];
+   if (/^mailto:/i.test(href)) return 'email';
+   if (/^tel:/i.test(href)) return 'tel';
+   if (/^#./.test(href)) return 'anchor';
+   if (attrs['data-link-type'] === 'file') return 'file';
+   return 'url';
+  }
+
+  // Ids an author gave elements. GrapesJS adds ids of its own to styled components: those are
+  // missing from the stored attributes in this session, and once saved and reloaded they still
+  // look like its generated ids ("i" plus a few base-36 characters, at least one of them a digit).
+  function isGeneratedId(cmp, id) {
+   const stored = (cmp.get('attributes') || {}).id;
+   if (stored !== id) return true;
+   return /^i[a-z0-9]{3,6}(-\d+)?$/.test(id) && /\d/.test(id.slice(1).replace(/-\d+$/, ''));
+  }
+
+  function pageAnchorIds() {
+   const wrapperComp = editor.getWrapper();
+   if (!wrapperComp) return [];
+   return wrapperComp.find('[id]').map(c => {
+    const id = c.getAttributes().id;
+    return id && !isGeneratedId(c, id) ? id : '';
+   }).filter(Boolean);
+  }
+
+  const MANAGED_REL = ['noopener', 'noreferrer', 'nofollow', 'sponsored'];
+
+  // Submit/reset buttons and buttons inside a form keep their form role and are never made links.
+  function isFormButton(cmp) {
+   if (cmp.get('tagName') !== 'button') return false;
+   if (['submit', 'reset'].includes((cmp.getAttributes().type || '').toLowerCase())) return true;
+   for (let p = cmp.parent(); p; p = p.parent()) if ((p.get('tagName') || '').toLowerCase() === 'form') return true;
+   return false;
+  }
+
+  editor.TraitManager.addType('link-picker', {
+   noLabel: true,
+   createInput({ component }) {
+    if (isFormButton(component)) {
+     const note = document.createElement('div');
+     note.style.cssText = 'padding:4px 10px;font-size:11px;color:#9ca3af;';
+     note.textContent = 'This button submits a form, so it cannot link elsewhere.';
+     return note;
+    }
+    const el = document.createElement('div');
+    el.className = 'link-picker';
+    el.style.cssText = 'display:flex;flex-direction:column;gap:6px;padding:4px 10px;';
+    el.innerHTML = `
+      <label style="font-size:12px;color:#9ca3af;">Link to</label>
+      <select data-role="kind" class="gjs-trait-input">${LINK_KINDS.map(k => `<option value="${k.id}">${k.name}</option>`).join('')}</select>
+      <div data-role="value"></div>
+      <label style="font-size:12px;"><input type="checkbox" data-role="blank"> Open in a new tab</label>
+      <label style="font-size:12px;"><input type="checkbox" data-role="nofollow"> nofollow</label>
+      <label style="font-size:12px;"><input type="checkbox" data-role="sponsored"> sponsored</label>
+      ${component.get('tagName') === 'button' ? '<div style="font-size:11px;color:#9ca3af;">Choosing a link target turns the button into a link (&lt;a&gt;) with the same look.</div>' : ''}`;
+    // The select's own change event bubbles up to onEvent after the value editor is swapped.
+    el.querySelector('[data-role="kind"]').addEventListener('change', e => this.renderValue(el, e.target.value, '', ''));
+    return el;
+   },
+
+   // Replaces the value editor for the chosen kind; fires 'change' on the picker when edited.
+   // A current page/post/anchor that is not in the list (deleted, hidden, or the list is still
+   // loading or failed) stays selected as its own option, so editing the other options keeps it.
+   renderValue(el, kind, current, currentHref) {
+    const box = el.querySelector('[data-role="value"]');
+    const changed = () => el.dispatchEvent(new Event('change', { bubbles: true }));
+    box.innerHTML = '';
+    let input;
+    if (kind === 'page' || kind === 'post') {
+     input = fieldInput('select', null, 'gjs-trait-input');
+     const kept = opts => (current && !opts.some(o => o.value === current)
+      ? `<option value="${U.escAttr(current)}" data-url="${U.escAttr(currentHref || '#')}">Current link (${U.escapeHtml(currentHref || current)})</option>` : '');
+     input.innerHTML = '<option value="">Loading…</option>' + kept([]);
+     input.value = current || '';
+     loadContentOptions(kind).then(opts => {
+      input.innerHTML = `<option value="">— Select ${kind === 'post' ? 'post' : 'page'} —</option>` + kept(opts) +
+       opts.map(o => `<option value="${U.escAttr(o.value)}" data-url="${U.escAttr(o.url)}">${U.escapeHtml(o.label)}</option>`).join('');
+      input.value = current || '';
+     }).catch(() => {
+      input.innerHTML = '<option value="">Could not load the list</option>' + kept([]);
+      input.value = current || '';
+     });
+    } else if (kind === 'anchor') {
+     input = fieldInput('select', null, 'gjs-trait-input');
+     const ids = pageAnchorIds();
+     if (current && !ids.includes(current)) ids.unshift(current);
+     input.innerHTML = `<option value="">${ids.length ? '— Select section —' : 'No element on this page has an id'}</option>` +
+      ids.map(id => `<option value="${U.escAttr(id)}">#${U.escapeHtml(id)}</option>`).join('');
+     input.value = current || '';
+    } else if (kind === 'file') {
+     const wrap = ShortcodeFields.editorFor({ type: 'media' }).create({}, 'gjs-trait-input');
+     input = wrap.querySelector('input');
+     input.placeholder = 'File URL';
+     input.value = current || '';
+     box.appendChild(wrap);
+    } else {
+     input = fieldInput('input', { email: 'email', tel: 'tel' }[kind] || 'text', 'gjs-trait-input');
+     input.placeholder = { email: 'name@example.com', tel: '+1 555 123 4567' }[kind] || 'https://… or /path';
+     input.value = current || '';
+    }
+    input.dataset.role = 'target';
+    if (!input.isConnected) box.appendChild(input);
+    input.addEventListener('change', e => { e.stopPropagation(); changed(); });
+   },
+
+   onEvent({ elInput, component }) {
+    if (isFormButton(component)) return;
+    const kind = elInput.querySelector('[data-role="kind"]').value;
+    const target = elInput.querySelector('[data-role="target"]');
+    const value = target ? target.value.trim() : '';
+    const attrs = Object.assign({}, component.getAttributes());
+    // rel tokens the picker has no checkbox for (ugc, me, …) are kept as they are.
+    const keptRel = (attrs.rel || '').split(/\s+/).filter(r => r && !MANAGED_REL.includes(r.toLowerCase()));
+    ['href', 'target', 'rel', 'data-link-type', 'data-link-id'].forEach(k => delete attrs[k]);
+    if (kind === 'page' || kind === 'post') {
+     const opt = target.selectedOptions[0];
+     if (value) Object.assign(attrs, { href: (opt && opt.dataset.url) || '#', 'data-link-type': kind, 'data-link-id': value });
+    } else if (kind === 'anchor') {
+     if (value) attrs.href = `#${value}`;
+    } else if (kind === 'email') {
+     if (value) attrs.href = `mailto:${value.replace(/^mailto:/i, '')}`;
+    } else if (kind === 'tel') {
+     if (value) attrs.href = `tel:${value.replace(/^tel:/i, '').replace(/[^\d+]/g, '')}`;
+    } else if (value) {
+     attrs.href = value;
+     if (kind === 'file') attrs['data-link-type'] = 'file';
+    }
+    const rel = ['nofollow', 'sponsored'].filter(r => elInput.querySelector(`[data-role="${r}"]`).checked);
+    if (elInput.querySelector('[data-role="blank"]').checked) { attrs.target = '_blank'; rel.unshift('noopener', 'noreferrer'); }
+    rel.push(...keptRel);
+    if (rel.length) attrs.rel = rel.join(' ');
+    if (component.get('tagName') === 'button') {
+     // Only a real target turns the button into a link; options alone leave it untouched.
+     if (!attrs.href) return;
+     delete attrs.type;
+     component.set('tagName', 'a');
+    }
+    if (!attrs.href) attrs.href = '#';
+    component.setAttributes(attrs);
+   },
+
+   onUpdate({ elInput, component }) {
+    if (isFormButton(component)) return;
+    const attrs = component.getAttributes();
+    const kind = linkKindOf(attrs);
+    const href = attrs.href || '';
+    const current = {
+     page: attrs['data-link-id'],
+     post: attrs['data-link-id'],
+     anchor: href.slice(1),
+     email: href.replace(/^mailto:/i, ''),
+     tel: href.replace(/^tel:/i, ''),
+     file: href,
+     url: href === '#' ? '' : href
+    }[kind];
+    elInput.querySelector('[data-role="kind"]').value = kind;
+    this.renderValue(elInput, kind, current, href);
+    const rel = (attrs.rel || '').split(/\s+/);
+    elInput.querySelector('[data-role="blank"]').checked = attrs.target === '_blank';
+    elInput.querySelector('[data-role="nofollow"]').checked = rel.includes('nofollow');
+    elInput.querySelector('[data-role="sponsored"]').checked = rel.includes('sponsored');
+   }
+  });
+
+  /* ============================
+     Custom component types
+     ============================ */
+  // Built-in image type with the responsive/lazy-loading controls used by applyResponsiveImages.
+  editor.DomComponents.addType('image', {
+   model: {
+    init() {
+     // A new src makes the srcset of the previous image wrong, and with it whatever the
+     // responsive pass generated for it; author-set width/height/sizes are kept.
+     this.on('change:src', () => {
+      const attrs = Object.assign({}, this.getAttributes());
+      const generated = String(attrs[GENERATED_IMG_ATTR] || '').split(/\s+/).filter(Boolean);
+      if (!('srcset' in attrs) && !generated.length) return;
+      ['srcset', GENERATED_IMG_ATTR].concat(generated).forEach(a => { delete attrs[a]; });
+      this.setAttributes(attrs);
+     });
+    },
+    defaults: {
+     traits: [
+      'alt',
+      'title',
+      { type: 'select', name: 'loading', label: 'Loading', options: [{ id: '', name: 'Lazy (default)' }, { id: 'eager', name: 'Eager (above the fold)' }] },
+      // Responsive is the default, so the checkbox only records the opt-out.
+      { type: 'checkbox', name: 'data-responsive', label: 'Disable srcset', valueTrue: 'false', valueFalse: '' },
+      { type: 'text', name: 'sizes', label: 'Sizes', placeholder: `${CONFIG.imageDefaultSizes}  e.g. (max-width: 768px) 100vw, 50vw` }
+     ]
+    }
+   }
+  });
+
+  editor.DomComponents.addType('link', {
+   model: {
+    defaults: {
+     traits: ['title', { type: 'link-picker', name: 'href' }]
+    }
+   }
+  });
+
+  // Plain buttons get the same picker; choosing a link converts them to <a>.
+  editor.DomComponents.addType('button', {
+   isComponent: el => el.tagName === 'BUTTON',
+   model: {
+    defaults: {
+     tagName: 'button',
+     traits: ['title', { type: 'link-picker', name: 'href' }]
+    }
+   }
+  });
+
+  editor.DomComponents.addType('section', {
+   model: {
+    defaults: {
+     droppable: true,
+     editable: true,
+     highlightable: true,
+     draggable: true,
+     attributes: { style: 'min-height:80px; border:1px dashed #ccc;' },
+    },
+   }
+  });
+
+  editor.DomComponents.addType('editable-list', {
+   model: {
+    defaults: {
+     tagName: 'div',
+     attributes: { class: 'editable-list-wrapper' },
+     components: `
+            <style>
+              .editable-list-wrapper { display:block; padding:8px; border:1px dashed #e6e6e6; border-radius:6px; }
+              .editable-list { padding-left: 1.25rem; margin: 0; }
+              .editable-list li { margin: 6px 0; }
+              .add-item-btn { display:inline-block; margin-top:8px; background:#4caf50; color:#fff; border:none; padding:6px 10px; border-radius:6px; cursor:pointer; font-weight:600; }
+              .add-item-btn:hover { opacity:.95; }
+            </style>
+            <ul class="editable-list">
+              <li contenteditable="true">Item 1</li>
+              <li contenteditable="true">Item 2</li>
+            </ul>
+            <button class="add-item-btn" type="button">+ Add item</button>
+          `,
+     script: function () {
+      const root = this;
+      const btn = root.querySelector('.add-item-btn');
+      const ul = root.querySelector('.editable-list');
+      if (!btn || !ul) return;
+      if (btn.__hasListener) return;
+      btn.addEventListener('click', () => {
+       const li = document.createElement('li');
+       li.textContent = 'New Item';
+       li.setAttribute('contenteditable', 'true');
        ul.appendChild(li);
        setTimeout(() => li.focus && li.focus(), 0);
       });
@@ -907,32 +3118,46 @@
      isRendered: false,
      traits: []
     },
+    // Enclosing shortcodes ([name]...[/name]) keep their inner content as editable child
+    // components inside .shortcode-content; only self-closing ones are rendered in the canvas.
+    isEnclosing() {
+     return !!this.getAttributes()['data-shortcode-close'];
+    },
+    // Inline shortcodes (inside paragraphs, links, etc.) are spans and render their messages as spans too.
+    messageTag() {
+     return this.get('tagName') === 'span' ? 'span' : 'div';
+    },
     init() {
      this.debouncedRender = U.debounce(async (shortcodeString) => {
+      if (this.isEnclosing()) {
+       this.addAttributes({ 'data-shortcode-original': shortcodeString });
+       this.set({ isRendered: true });
+       return;
+      }
       try {
        try { this.view && this.view.showLoading && this.view.showLoading(shortcodeString); } catch (e) { /* ignore */ }
-       const json = await fetch('/shortcode/render', {
-        method: 'POST',
-        headers: Object.assign({ 'Content-Type': 'application/json' }, U.csrfTokenHeader()),
-        body: JSON.stringify({ shortcode: shortcodeString })
-       }).then(r => r.json());
+       const rendered = await ShortcodeRenderer.render(shortcodeString);
        this.set({ isRendered: true });
-       const html = json.html || `<div style="color:gray;">${U.escapeHtml(shortcodeString)} not found</div>`;
+       const tag = this.messageTag();
+       const html = rendered || `<${tag} style="color:gray;">${U.escapeHtml(shortcodeString)} not found</${tag}>`;
        this.components(html);
        this.addAttributes({ 'data-shortcode-original': shortcodeString });
        this.set('editable', false);
       } catch (err) {
        console.error('Shortcode render error:', err);
-       this.components(`<div style="color:red;">Error loading ${U.escapeHtml(shortcodeString)}</div>`);
+       const tag = this.messageTag();
+       this.components(`<${tag} style="color:red;">Error loading ${U.escapeHtml(shortcodeString)}</${tag}>`);
       }
      }, 400);
     }
    },
    view: {
     events: { dblclick: 'openConfig', focusout: 'onFocusOut' },
-    async openConfig() {
+    async openConfig(ev) {
+     if (ev && ev.target && ev.target.closest && ev.target.closest('.shortcode-content')) return;
      const el = this.el;
-     const content = el.innerText.trim();
+     const original = this.model.getAttributes()['data-shortcode-original'] || '';
+     const content = original || el.innerText.trim();
      const shortcodeName = U.extractShortcodeName(content);
      if (!shortcodeName) return alert('Please enter a shortcode like [property]');
      try {
@@ -940,30 +3165,45 @@
       if (!res.ok) throw new Error('Not found');
       const config = await res.json();
       const modal = this.model.editor.Modal;
-      const fieldsHtml = (config.fields || []).map((f) => {
-       if (f.type === 'select') {
-        const opts = (f.options || []).map(o => `<option value="${U.escapeHtml(o)}">${U.escapeHtml(o)}</option>`).join('');
-        return `<label class="block font-semibold mb-1">${U.escapeHtml(f.label)}</label><select name="${U.escapeHtml(f.name)}" class="shortcode-input border rounded w-full mb-3 p-1">${opts}</select>`;
-       } else {
-        return `<label class="block font-semibold mb-1">${U.escapeHtml(f.label)}</label><input type="${U.escapeHtml(f.type)}" name="${U.escapeHtml(f.name)}" value="${U.escapeHtml(f.default || '')}" class="shortcode-input border rounded w-full mb-3 p-1" />`;
-       }
-      }).join('');
+      const fields = ShortcodeFields.fields(config);
+      const openTag = Shortcodes.openTag(content);
+      const current = Shortcodes.attrsObject(openTag ? openTag.attrs : []);
+      const positional = (openTag ? openTag.attrs : []).filter(a => !a.name);
+
+      const form = document.createElement('div');
+      form.className = 'p-3';
+      const errorBox = document.createElement('div');
+      errorBox.style.cssText = 'display:none;margin-bottom:10px;padding:8px 10px;border-radius:6px;background:#fee2e2;color:#b91c1c;font-size:13px;';
+      form.appendChild(errorBox);
+      const inputs = {};
+      fields.forEach(f => {
+       const label = document.createElement('label');
+       label.className = 'block font-semibold mb-1';
+       label.textContent = f.label || f.name;
+       const input = ShortcodeFields.create(f, 'shortcode-input border rounded w-full mb-3 p-1');
+       ShortcodeFields.editorFor(f).write(input, current[f.name] !== undefined ? current[f.name] : ShortcodeFields.defaultValue(f));
+       inputs[f.name] = input;
+       form.appendChild(label);
+       form.appendChild(input);
+      });
+      const applyBtn = document.createElement('button');
+      applyBtn.className = 'bg-indigo-600 text-white px-4 py-2 rounded w-full';
+      applyBtn.textContent = 'Apply Shortcode';
+      form.appendChild(applyBtn);
+
       modal.setTitle(`Configure [${shortcodeName}]`);
-      modal.setContent(`<div class="p-3">${fieldsHtml}<button id="applyShortcodeBtn" class="bg-indigo-600 text-white px-4 py-2 rounded w-full">Apply Shortcode</button></div>`);
+      modal.setContent(form);
       modal.open();
-      document.getElementById('applyShortcodeBtn').onclick = async () => {
-       const inputs = modal.getContentEl().querySelectorAll('.shortcode-input');
-       let attrs = '';
-       inputs.forEach(i => {
-        const val = i.value.trim();
-        if (val) {
-         const valWithQuotes = /\s/.test(val) ? `"${val}"` : val;
-         attrs += ` ${i.name}=${valWithQuotes}`;
-        }
-       });
-       const shortcodeString = `[${shortcodeName}${attrs}]`;
-       this.model.set('components', shortcodeString);
+      applyBtn.onclick = async () => {
+       const getValue = name => ShortcodeFields.editorFor(fields.find(f => f.name === name)).read(inputs[name]);
+       const errors = ShortcodeFields.validateAll(fields, getValue);
+       errorBox.style.display = errors.length ? 'block' : 'none';
+       errorBox.innerHTML = errors.map(e => `<div>${U.escapeHtml(e.message)}</div>`).join('');
+       if (errors.length) return;
+       const shortcodeString = Shortcodes.build(shortcodeName, positional.concat(ShortcodeFields.toAttrs(fields, getValue)));
+       if (!this.model.isEnclosing()) this.model.set('components', shortcodeString);
        modal.close();
+       ShortcodeRenderer.invalidate(shortcodeString);
        if (this.model.debouncedRender) this.model.debouncedRender(shortcodeString);
       };
      } catch (err) {
@@ -972,6 +3212,7 @@
      }
     },
     async onFocusOut() {
+     if (this.model.isEnclosing()) return;
      const el = this.el;
      const content = el.innerText.trim();
      el.removeAttribute('contenteditable');
@@ -983,7 +3224,9 @@
      else this.model.components('[your_shortcode_here]');
     },
     showLoading(shortcode) {
-     this.model.components(`<div style="color:gray;padding:12px;text-align:center;">Loading ${U.escapeHtml(shortcode)}...</div>`);
+     const tag = this.model.messageTag();
+     const style = tag === 'span' ? 'color:gray;' : 'color:gray;padding:12px;text-align:center;';
+     this.model.components(`<${tag} style="${style}">Loading ${U.escapeHtml(shortcode)}...</${tag}>`);
     }
    }
   });
@@ -999,14 +3242,12 @@
    bm.add(id, b);
   });
 
-  [
-   aboutBlocks, bannerBlocks, blogBlocks, contactBlocks, counterBlocks, footerBlocks,
-   galleryBlocks, heroBlocks, productBlocks, reviewBlocks, serviceBlocks, socialBlocks,
-   stepBlocks, subscribeBlocks, teamBlocks, visionBlocks, whyBlocks, workBlocks
-  ].forEach(group => group.forEach(b => {
+  // File blocks load in the background so the editor opens right away; categories fill in as groups arrive.
+  loadManifestBlocks(group => group.forEach(b => {
    b.attributes = Object.assign({}, b.attributes, { 'data-bid': b.id });
+   if (b.tags && b.tags.length) b.attributes['data-tags'] = b.tags.join(' ');
    bm.add(b.id, b);
-  }));
+  })).catch(e => console.warn('block manifest overall error', e));
 
   /* ============================
      Load custom components from server and convert into blocks
@@ -1098,21 +3339,26 @@
     if (!data || typeof data !== 'object') return;
     const bm = editorInst.BlockManager;
     Object.entries(data).forEach(([key, cfg]) => {
-     if (typeof key !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(key)) {
+     if (!Shortcodes.isValidName(key)) {
       console.warn('Skipping invalid shortcode key from backend:', key);
       return;
      }
      const label = cfg && cfg.title ? cfg.title : key;
+     const enclosing = !!(cfg && cfg.enclosing);
      bm.add(`shortcode-${key}`, {
       label: `[${key}]`,
       category: 'Shortcodes',
       attributes: { class: 'fa fa-code', 'data-shortcode': key },
-      content: {
+      content: enclosing ? {
+       type: 'shortcode-block',
+       attributes: { 'data-shortcode': key, 'data-shortcode-close': `[/${key}]` },
+       components: [{ tagName: 'div', attributes: { class: 'shortcode-content' }, draggable: false, removable: false, copyable: false, components: '<p>Content</p>' }]
+      } : {
        type: 'shortcode-block',
        components: `[${key}]`,
        attributes: { 'data-shortcode': key }
       },
-      hoverPreview: `<div style="padding:8px;border:1px dashed #999;text-align:center;">[${key}]</div>`
+      hoverPreview: `<div style="padding:8px;border:1px dashed #999;text-align:center;">[${key}]${enclosing ? `…[/${key}]` : ''}</div>`
      });
     });
    } catch (err) {
@@ -1121,223 +3367,1497 @@
   }
   registerShortcodeBlocks(editor);
 
-  /* ============================
-     Trait wiring for shortcode-block selection (HARDENED)
-     - Validate shortcodeName before fetching config
-     ============================ */
-  editor.on('component:selected', async (model) => {
-   if (!model || model.get('type') !== 'shortcode-block') return;
+  /* ============================
+     Trait wiring for shortcode-block selection (HARDENED)
+     - Validate shortcodeName before fetching config
+     ============================ */
+  editor.on('component:selected', async (model) => {
+   if (!model || model.get('type') !== 'shortcode-block') return;
+
+   const attrsObj = (typeof model.getAttributes === 'function') ? model.getAttributes() : (model.get('attributes') || {});
+   const originalShortcodeFromAttr = attrsObj['data-shortcode-original'] || attrsObj['data-shortcode'] || '';
+
+   let content = '';
+   try {
+    const comps = model.get('components');
+    if (typeof comps === 'string') content = comps;
+    else if (comps && typeof comps === 'object') {
+     if (typeof comps.at === 'function') {
+      const first = comps.at(0);
+      content = first?.get?.('content') || first?.get?.('components') || '';
+      if (typeof content !== 'string') content = model.get('content') || '';
+     } else if (Array.isArray(comps)) {
+      content = (comps[0] && (comps[0].content || '')) || model.get('content') || '';
+     } else content = model.get('content') || '';
+    } else content = model.get('content') || '';
+   } catch (e) { content = model.get('content') || ''; }
+   content = (content + '').toString().trim();
+
+   const shortcodeText = originalShortcodeFromAttr || content;
+   const shortcodeName = U.extractShortcodeName(shortcodeText);
+
+   if (!Shortcodes.isValidName(shortcodeName)) return;
+
+   try {
+    const cfgRes = await fetch(`/admin/shortcodes/${encodeURIComponent(shortcodeName)}/config`);
+    if (!cfgRes.ok) {
+     console.warn(`Shortcode config not found for ${shortcodeName} (${cfgRes.status})`);
+     return;
+    }
+    const config = await cfgRes.json();
+    const fields = ShortcodeFields.fields(config);
+    const traitDefs = fields.map(f => ShortcodeFields.toTrait(f));
+
+    const openTag = Shortcodes.openTag(shortcodeText);
+    const parsedAttrs = Shortcodes.attrsObject(openTag ? openTag.attrs : []);
+    // Positional arguments have no trait; keep them as they were.
+    const positional = (openTag ? openTag.attrs : []).filter(a => !a.name);
+    // Values are set before the traits render so the inputs start out filled in.
+    fields.forEach(f => {
+     const parsed = parsedAttrs[f.name];
+     model.set(f.name, parsed !== undefined ? parsed : ShortcodeFields.defaultValue(f), { silent: true });
+    });
+    model.set('traits', traitDefs);
+    editor.TraitManager.render(model);
+    showShortcodeTraitErrors([]);
+
+    if (!model.__shortcodeTraitHandlers) model.__shortcodeTraitHandlers = {};
+    Object.keys(model.__shortcodeTraitHandlers || {}).forEach(oldName => {
+     try { model.off(`change:${oldName}`, model.__shortcodeTraitHandlers[oldName]); } catch (e) { /* ignore */ }
+    });
+    model.__shortcodeTraitHandlers = {};
+    traitDefs.forEach(tr => {
+     const handler = async () => {
+      const getValue = name => model.get(name);
+      // Invalid values stay in the panel with their errors; the shortcode keeps its last valid form.
+      const errors = ShortcodeFields.validateAll(fields, getValue);
+      showShortcodeTraitErrors(errors);
+      if (errors.length) return;
+      const shortcodeStr = Shortcodes.build(shortcodeName, positional.concat(ShortcodeFields.toAttrs(fields, getValue)));
+      // Trait edits should show fresh output, not a cached render of either string.
+      ShortcodeRenderer.invalidate(model.getAttributes()['data-shortcode-original'] || '');
+      ShortcodeRenderer.invalidate(shortcodeStr);
+      try { model.addAttributes && model.addAttributes({ 'data-shortcode-original': shortcodeStr }); } catch (e) { /* ignore */ }
+      try { model.debouncedRender && model.debouncedRender(shortcodeStr); } catch (err) { console.error('Error auto-rendering shortcode', err); }
+     };
+     model.__shortcodeTraitHandlers[tr.name] = handler;
+     model.on(`change:${tr.name}`, handler);
+    });
+   } catch (err) {
+    console.error('Trait config load error:', err);
+   }
+  });
+
+  /* ============================
+     Auto-render shortcode after drop (component:add) with validation
+     ============================ */
+  editor.on('component:add', async (cmp) => {
+   if (!cmp || cmp.get('type') !== 'shortcode-block') return;
+   // Loaded or moved shortcodes already carry their string; only fresh drops get defaults.
+   if (cmp.getAttributes()['data-shortcode-original']) return;
+   const shortcodeName = cmp.getAttributes()['data-shortcode'] || U.extractShortcodeName(cmp.get('components'));
+   if (!Shortcodes.isValidName(shortcodeName)) return;
+
+   try {
+    const cfgRes = await fetch(`/admin/shortcodes/${encodeURIComponent(shortcodeName)}/config`);
+    const config = cfgRes.ok ? await cfgRes.json() : null;
+
+    const fields = ShortcodeFields.fields(config);
+    const attrs = ShortcodeFields.toAttrs(fields, name => ShortcodeFields.defaultValue(fields.find(f => f.name === name)));
+
+    const shortcodeString = Shortcodes.build(shortcodeName, attrs);
+    if (!cmp.isEnclosing()) cmp.components(`<div style="color:gray;padding:12px;text-align:center;">Loading ${U.escapeHtml(shortcodeName)}...</div>`);
+    cmp.addAttributes({ 'data-shortcode-original': shortcodeString });
+
+    if (cmp.debouncedRender) await cmp.debouncedRender(shortcodeString);
+    editor.select(cmp);
+    editor.trigger('component:selected', { model: cmp });
+
+    setTimeout(async () => {
+     try {
+      if (config) {
+       fields.forEach(f => cmp.set(f.name, ShortcodeFields.defaultValue(f), { silent: true }));
+       cmp.set('traits', fields.map(f => ShortcodeFields.toTrait(f)));
+       editor.TraitManager.render(cmp);
+       document.getElementById('tab-traits')?.click();
+      }
+     } catch (err) { console.warn('Auto trait load failed:', err); }
+    }, 400);
+   } catch (err) {
+    console.error(`Auto-render failed for [${shortcodeName}]`, err);
+    if (!cmp.isEnclosing()) cmp.components(`<div style="color:red;">Error loading [${U.escapeHtml(shortcodeName)}]</div>`);
+   }
+  });
+
+  /* ============================
+     Shortcode serialization for saving pages
+     ============================ */
+  function serializeShortcodes(instEditor) {
+   return serializeShortcodeHtml(instEditor.getHtml());
+  }
+
+  // Payload key -> form field id for the page/meta inputs that travel with every save.
+  const PAGE_FIELDS = {
+   title: 'page-title',
+   meta_title: 'meta-title',
+   meta_description: 'meta-description',
+   meta_keywords: 'meta-keywords',
+   meta_og_image: 'meta-og-image',
+   meta_fokus_keyword: 'meta-fokus-keyword',
+  };
+
+  // Payload entries that are not plain inputs: { key, collect() -> string, apply(value) }.
+  // Meta panel sections register here so saves, drafts and revisions all carry them.
+  const PAGE_PAYLOAD_PARTS = [];
+
+  function pageKind() {
+   return document.getElementById('saveAsPage')?.value || 'page';
+  }
+
+  function pageEndpoint(action) {
+   return pageKind() === 'blog' ? `/admin/blog/${PAGE_ID}/${action}` : `/admin/pages/${PAGE_ID}/${action}`;
+  }
+
+  function collectPagePayload() {
+   const payload = { html: serializeShortcodes(editor), css: editor.getCss() };
+   Object.entries(PAGE_FIELDS).forEach(([key, id]) => { payload[key] = document.getElementById(id)?.value || ''; });
+   PAGE_PAYLOAD_PARTS.forEach(part => { payload[part.key] = part.collect(); });
+   return payload;
+  }
+
+  // Loads a payload shaped like collectPagePayload() back into the editor and meta fields.
+  function applyPagePayload(payload) {
+   if (!payload) return;
+   editor.setComponents(deserializeShortcodes(payload.html || ''));
+   editor.setStyle(payload.css || '');
+   Object.entries(PAGE_FIELDS).forEach(([key, id]) => {
+    const el = document.getElementById(id);
+    if (el && payload[key] !== undefined) el.value = payload[key];
+   });
+   PAGE_PAYLOAD_PARTS.forEach(part => { if (payload[part.key] !== undefined) part.apply(payload[part.key]); });
+   renderLoadedShortcodes();
+   window.__GJSStyleSync && window.__GJSStyleSync.syncRulesIntoComponents();
+  }
+
+  // Same-origin pathname of a link or content URL without a trailing slash; null for other
+  // origins and for values that are not URLs at all.
+  function sitePath(url) {
+   let parsed;
+   try { parsed = new URL(url, window.location.href); } catch (e) { return null; }
+   if (parsed.origin !== window.location.origin) return null;
+   return parsed.pathname.replace(/(.)\/+$/, '$1');
+  }
+
+  // Pre-save link check: empty/"#" hrefs, anchors with no matching id, and page/post links
+  // whose target is gone. Other same-origin links are compared by pathname against the page
+  // and post URLs, but only inside a directory that holds content (e.g. /blog/…): the site
+  // root and other routes serve things the content list cannot know about.
+  // Page/post links whose URL changed come back as fixes; savePageData applies them only
+  // once the save actually goes ahead.
+  async function scanPageLinks() {
+   const wrapperComp = editor.getWrapper();
+   if (!wrapperComp) return { problems: [], fixes: [] };
+   const problems = [];
+   const fixes = [];
+   const ids = new Set(wrapperComp.find('[id]').map(c => c.getAttributes().id));
+   // A list that failed to load is left out, which skips the checks that depend on it.
+   const lists = {};
+   await Promise.all(['page', 'post'].map(type => loadContentOptions(type).then(opts => { lists[type] = opts; }).catch(() => {})));
+   const knownPaths = new Set([].concat(lists.page || [], lists.post || []).map(o => o.url && sitePath(o.url)).filter(Boolean));
+   const parentDir = path => path.slice(0, path.lastIndexOf('/') + 1);
+   const contentDirs = new Set(Array.from(knownPaths).map(parentDir).filter(dir => dir !== '/'));
+   const assetPaths = new Set(editor.AssetManager.getAll().map(a => sitePath(a.get('src'))).filter(Boolean));
+   const label = cmp => (componentText(cmp).replace(/\s+/g, ' ').trim() || cmp.getName()).slice(0, 40);
+
+   walkComponents(wrapperComp, cmp => {
+    if (cmp.get('tagName') !== 'a') return true;
+    const attrs = cmp.getAttributes();
+    const href = (attrs.href || '').trim();
+    const type = attrs['data-link-type'];
+    if (!href || href === '#') problems.push(`"${label(cmp)}" has no link target`);
+    else if (href[0] === '#' && !ids.has(href.slice(1))) problems.push(`"${label(cmp)}" points to ${href}, which is not on this page`);
+    else if ((type === 'page' || type === 'post') && lists[type]) {
+     const item = lists[type].find(o => o.value === attrs['data-link-id']);
+     if (!item) problems.push(`"${label(cmp)}" links to a ${type} that no longer exists`);
+     else if (item.url && sitePath(item.url) !== sitePath(href)) fixes.push(() => cmp.addAttributes({ href: item.url }));
+    } else if (lists.page && lists.post) {
+     const path = /^[a-z][a-z0-9+.-]*:/i.test(href) && !/^https?:/i.test(href) ? null : sitePath(href);
+     if (path && contentDirs.has(parentDir(path)) && !knownPaths.has(path) && !assetPaths.has(path) && !/\.[a-z0-9]{2,5}$/i.test(path)) {
+      problems.push(`"${label(cmp)}" links to ${href}, which does not match any page or post`);
+     }
+    }
+    return true;
+   });
+   return { problems, fixes };
+  }
+
+  async function savePageData(url) {
+   const { problems: linkProblems, fixes: linkFixes } = await scanPageLinks();
+   if (linkProblems.length) {
+    const list = linkProblems.slice(0, 10).map(p => `• ${p}`).join('\n') + (linkProblems.length > 10 ? `\n…and ${linkProblems.length - 10} more` : '');
+    if (!confirm(`Some links look broken:\n\n${list}\n\nSave anyway?`)) return { success: false, cancelled: true };
+   }
+   const payload = collectPagePayload();
+   const schemaError = validateJsonLd(payload.meta_schema);
+   if (schemaError) {
+    if (!confirm(`Structured data (JSON-LD) is invalid: ${schemaError}\n\nSave anyway? The previously saved structured data will be kept.`)) return { success: false, cancelled: true };
+    delete payload.meta_schema;
+   }
+   if (linkFixes.length) {
+    linkFixes.forEach(fix => fix());
+    payload.html = serializeShortcodes(editor);
+   }
+   try {
+    payload.html = await applyResponsiveImages(payload.html);
+   } catch (e) { console.warn('Responsive image processing failed; saving images as they are', e); }
+   const response = await fetch(url, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json', 'Accept': 'application/json' }, U.csrfTokenHeader()),
+    body: JSON.stringify(payload)
+   });
+   const result = await response.json();
+   if (result && result.success) editor.trigger('page:saved', payload, result);
+   return result;
+  }
+
+  async function savePageAsComponent(url) {
+   if (window.__isSavingPageComponent) return;
+   window.__isSavingPageComponent = true;
+   try {
+    const html = editor.getHtml();
+    const css = editor.getCss ? editor.getCss() : '';
+    const js = editor.getJs ? editor.getJs() : '';
+    let id = document.getElementById('component-id')?.value || null;
+    if (!id) {
+     const wrapperComp = editor.getWrapper();
+     const dbWrapper = wrapperComp.find('.page-component-wrapper')[0];
+     if (dbWrapper) id = dbWrapper.getAttributes()['data-db-id'] || null;
+    }
+    const name = (document.getElementById('component-name')?.value || 'Untitled component').trim();
+    const payload = { id, name, category: 'Page Components', html, js };
+    if (css && css.trim().length > 0) payload.css = css;
+    const res = await fetch(url, {
+     method: 'POST',
+     headers: Object.assign({ 'Content-Type': 'application/json', Accept: 'application/json' }, U.csrfTokenHeader()),
+     body: JSON.stringify(payload)
+    });
+    const data = await res.json();
+    if (data?.id) {
+     let idInput = document.getElementById('component-id');
+     if (!idInput) { idInput = document.createElement('input'); idInput.type = 'hidden'; idInput.id = 'component-id'; document.body.appendChild(idInput); }
+     idInput.value = data.id;
+    }
+    alert(data.message || 'Component saved successfully');
+    return data;
+   } catch (e) {
+    console.error(e);
+    alert('Save failed');
+    return { success: false };
+   } finally { window.__isSavingPageComponent = false; }
+  }
+
+  /* ============================
+     Autosave & local draft recovery
+     - Edits are written to IndexedDB (debounced, plus a periodic flush) and,
+       with CONFIG.serverDrafts, to the page's /draft endpoint.
+     - On open, a local draft is offered for restore when it was made on top of the page as it
+       is saved now (drafts record a fingerprint of the page they started from), or when it is
+       newer than PAGE_UPDATED_AT. A draft that neither check can place is kept but not offered.
+     ============================ */
+  (function autosaveModule(editorInstance) {
+   const pageId = typeof PAGE_ID !== 'undefined' ? PAGE_ID : 'new';
+   const draftKey = () => `${pageKind()}:${pageId}`;
+   let tracking = false;
+   let dirty = false;
+   let lastSnapshot = null;
+   let baseFingerprint = null;
+
+   const snapshotOf = (payload) => JSON.stringify(payload);
+   // FNV-1a of a snapshot; enough to tell whether the saved page changed since a draft began.
+   const fingerprint = (text) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+    return `${(h >>> 0).toString(36)}:${text.length}`;
+   };
+
+   async function writeLocalDraft() {
+    if (!tracking || !dirty) return;
+    dirty = false;
+    let payload;
+    try { payload = collectPagePayload(); } catch (e) { console.warn('Autosave: could not collect page', e); return; }
+    const snapshot = snapshotOf(payload);
+    if (snapshot === lastSnapshot) return;
+    try {
+     await LocalStore.set('drafts', draftKey(), { payload, savedAt: Date.now(), base: baseFingerprint });
+     lastSnapshot = snapshot;
+     if (CONFIG.serverDrafts && pageId !== 'new') saveServerDraft(payload);
+    } catch (e) {
+     console.warn('Autosave: local draft write failed', e);
+    }
+   }
+
+   const saveServerDraft = U.debounce(async (payload) => {
+    try {
+     const res = await fetch(pageEndpoint('draft'), {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json', Accept: 'application/json' }, U.csrfTokenHeader()),
+      body: JSON.stringify(payload)
+     });
+     if (!res.ok) throw new Error(`${res.status}`);
+    } catch (e) {
+     console.warn('Autosave: server draft save failed', e);
+    }
+   }, CONFIG.serverDraftDelay);
+
+   const scheduleWrite = U.debounce(writeLocalDraft, CONFIG.autosaveDelay);
+   const markDirty = () => {
+    if (!tracking) return;
+    dirty = true;
+    scheduleWrite();
+   };
+
+   async function offerDraftRestore() {
+    let draft = null;
+    try { draft = await LocalStore.get('drafts', draftKey()); } catch (e) { console.warn('Autosave: drafts unavailable', e); }
+    const current = collectPagePayload();
+    lastSnapshot = snapshotOf(current);
+    baseFingerprint = fingerprint(lastSnapshot);
+    if (!draft || !draft.payload) return;
+
+    const pageUpdatedAt = typeof PAGE_UPDATED_AT !== 'undefined' ? Date.parse(PAGE_UPDATED_AT) : NaN;
+    if (!draft.base && Number.isNaN(pageUpdatedAt)) {
+     console.warn('Autosave: cannot tell whether the local draft is newer than the saved page; not offering it');
+     return;
+    }
+    const isNewer = draft.base === baseFingerprint || (!Number.isNaN(pageUpdatedAt) && draft.savedAt > pageUpdatedAt);
+    if (!isNewer || snapshotOf(draft.payload) === lastSnapshot) {
+     LocalStore.remove('drafts', draftKey()).catch(U.noop);
+     return;
+    }
+    const when = new Date(draft.savedAt).toLocaleString();
+    if (confirm(`📝 An unsaved draft from ${when} was found for this page.\n\nRestore it? (Cancel discards the draft)`)) {
+     applyPagePayload(draft.payload);
+     lastSnapshot = null;
+     dirty = true;
+    } else {
+     LocalStore.remove('drafts', draftKey()).catch(U.noop);
+    }
+   }
+
+   editorInstance.on('load', () => {
+    setTimeout(async () => {
+     await offerDraftRestore();
+     tracking = true;
+    }, 1500);
+   });
+
+   editorInstance.on('update', markDirty);
+   document.addEventListener('input', (e) => {
+    const t = e.target;
+    if (t && (t.id === 'page-title' || (t.closest && t.closest('#meta')))) markDirty();
+   });
+   setInterval(writeLocalDraft, CONFIG.autosaveInterval);
+   document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') writeLocalDraft(); });
+
+   editorInstance.on('page:saved', (payload) => {
+    lastSnapshot = snapshotOf(payload);
+    baseFingerprint = fingerprint(lastSnapshot);
+    dirty = false;
+    LocalStore.remove('drafts', draftKey()).catch(U.noop);
+   });
+  })(editor);
+
+  /* ============================
+     Revision history
+     - The backend stores a revision of every savePageData payload; this panel lists them,
+       diffs any two (or one against the unsaved editor) and restores one into the editor.
+     - GET {page}/revisions -> { revisions: [{ id, author, created_at, note }] }
+     - GET {page}/revisions/{id} -> { revision: { ...savePageData payload } }
+     ============================ */
+  (function revisionsModule(editorInstance) {
+   if (typeof PAGE_ID === 'undefined') return;
+   const details = new Map();
+   let overlay = null;
+
+   const authorOf = (r) => (r && r.author && typeof r.author === 'object' ? r.author.name : r && r.author) || 'Unknown';
+   const dateOf = (r) => (r && r.created_at ? new Date(r.created_at).toLocaleString() : '');
+
+   async function loadRevision(id) {
+    if (id === 'current') return collectPagePayload();
+    if (details.has(id)) return details.get(id);
+    const data = await fetchJson(pageEndpoint(`revisions/${encodeURIComponent(id)}`));
+    const revision = data && (data.revision || data);
+    if (!revision || typeof revision.html !== 'string') throw new Error('Revision not found: ' + id);
+    details.set(id, revision);
+    return revision;
+   }
+
+   const beautify = (code, kind) => {
+    if (kind === 'html' && typeof html_beautify !== 'undefined') return html_beautify(code, { indent_size: 2, wrap_line_length: 80 });
+    if (kind === 'css' && typeof css_beautify !== 'undefined') return css_beautify(code, { indent_size: 2, wrap_line_length: 80 });
+    return code;
+   };
+
+   const metaText = (rev) => Object.keys(PAGE_FIELDS).concat(PAGE_PAYLOAD_PARTS.map(p => p.key)).map(k => `${k}: ${rev[k] || ''}`).join('\n');
+
+   function renderSourceDiff(container, before, after) {
+    const ops = diffLines(before, after);
+    const rows = [];
+    let k = 0;
+    let leftNo = 0;
+    let rightNo = 0;
+    const cell = (no, text, bg) => `<td style="width:40px;color:#6b7280;text-align:right;padding:0 6px;background:${bg};user-select:none;">${no || ''}</td><td style="white-space:pre-wrap;word-break:break-all;padding:0 8px;background:${bg};">${U.escapeHtml(text) || '&nbsp;'}</td>`;
+    while (k < ops.length) {
+     if (ops[k].type === 'same') {
+      leftNo++; rightNo++;
+      rows.push(`<tr>${cell(leftNo, ops[k].text, 'transparent')}${cell(rightNo, ops[k].text, 'transparent')}</tr>`);
+      k++;
+      continue;
+     }
+     const dels = [];
+     const adds = [];
+     while (k < ops.length && ops[k].type !== 'same') (ops[k].type === 'del' ? dels : adds).push(ops[k++].text);
+     for (let r = 0; r < Math.max(dels.length, adds.length); r++) {
+      const left = r < dels.length ? cell(++leftNo, dels[r], 'rgba(239,68,68,.18)') : cell('', '', '#111827');
+      const right = r < adds.length ? cell(++rightNo, adds[r], 'rgba(34,197,94,.18)') : cell('', '', '#111827');
+      rows.push(`<tr>${left}${right}</tr>`);
+     }
+    }
+    const changed = ops.some(o => o.type !== 'same');
+    container.innerHTML = changed
+     ? `<table style="width:100%;border-collapse:collapse;font:12px/1.5 monospace;color:#e5e7eb;table-layout:fixed;">${rows.join('')}</table>`
+     : '<div style="padding:40px;text-align:center;color:#888;">No differences</div>';
+   }
+
+   function renderVisualDiff(container, before, after) {
+    const doc = (rev) => `<!doctype html><html><head>${window.APP_CSS ? `<link rel="stylesheet" href="${U.escAttr(window.APP_CSS)}">` : ''}<style>${rev.theme_css || ''}${rev.css || ''}</style></head><body>${rev.html || ''}</body></html>`;
+    container.innerHTML = '';
+    [before, after].forEach(rev => {
+     const frame = document.createElement('iframe');
+     frame.setAttribute('sandbox', 'allow-same-origin');
+     frame.style.cssText = 'flex:1;height:100%;border:0;background:#fff;border-radius:6px;';
+     frame.srcdoc = doc(rev);
+     container.appendChild(frame);
+    });
+   }
+
+   async function compare(state) {
+    const view = overlay && overlay.body.querySelector('.rev-view');
+    if (!view) return;
+    if (!state.a || !state.b) { view.innerHTML = '<div style="padding:40px;text-align:center;color:#888;">Pick two revisions to compare</div>'; return; }
+    view.innerHTML = '<div style="padding:40px;text-align:center;color:#888;">Loading…</div>';
+    try {
+     const [before, after] = await Promise.all([loadRevision(state.a), loadRevision(state.b)]);
+     view.innerHTML = '';
+     view.style.cssText = 'flex:1;overflow:auto;display:flex;gap:10px;padding:10px;';
+     if (state.tab === 'visual') renderVisualDiff(view, before, after);
+     else if (state.tab === 'css') renderSourceDiff(view, beautify(before.css || '', 'css'), beautify(after.css || '', 'css'));
+     else if (state.tab === 'meta') renderSourceDiff(view, metaText(before), metaText(after));
+     else renderSourceDiff(view, beautify(before.html || '', 'html'), beautify(after.html || '', 'html'));
+    } catch (e) {
+     console.warn('Revisions: compare failed', e);
+     view.innerHTML = '<div style="padding:40px;text-align:center;color:#f87171;">Could not load the selected revisions</div>';
+    }
+   }
+
+   async function restore(rev) {
+    if (!confirm(`Restore the revision from ${dateOf(rev)} by ${authorOf(rev)}?\n\nThe editor content will be replaced; save to keep it.`)) return;
+    try {
+     applyPagePayload(await loadRevision(rev.id));
+     overlay && overlay.close();
+    } catch (e) {
+     console.error('Revisions: restore failed', e);
+     alert('❌ Could not restore this revision.');
+    }
+   }
+
+   async function open() {
+    if (overlay) return;
+    const current = createOverlay('Revision history');
+    overlay = current;
+    overlay.onClose = () => { overlay = null; };
+    overlay.body.innerHTML = `
+       <div class="rev-list" style="width:320px;flex-shrink:0;overflow-y:auto;border-right:1px solid #1f2937;background:#0a0e27;color:#e5e7eb;font-size:12px;">
+         <div style="padding:40px;text-align:center;color:#888;">Loading…</div>
+       </div>
+       <div style="flex:1;display:flex;flex-direction:column;overflow:hidden;">
+         <div class="rev-tabs" style="display:flex;gap:6px;padding:8px 10px;border-bottom:1px solid #1f2937;background:#111827;">
+           ${['visual', 'html', 'css', 'meta'].map(t => `<button data-tab="${t}" style="padding:4px 12px;border:none;border-radius:4px;cursor:pointer;color:#fff;background:#374151;">${t.toUpperCase()}</button>`).join('')}
+         </div>
+         <div class="rev-view" style="flex:1;overflow:auto;"></div>
+       </div>`;
+
+    const state = { a: null, b: 'current', tab: 'visual' };
+    const tabs = overlay.body.querySelectorAll('.rev-tabs button');
+    const paintTabs = () => tabs.forEach(btn => { btn.style.background = btn.dataset.tab === state.tab ? '#2563eb' : '#374151'; });
+    tabs.forEach(btn => btn.addEventListener('click', () => { state.tab = btn.dataset.tab; paintTabs(); compare(state); }));
+    paintTabs();
+
+    const data = await fetchJson(pageEndpoint('revisions'));
+    // Closed (or reopened after a save) while the list was loading.
+    if (overlay !== current) return;
+    const list = overlay.body.querySelector('.rev-list');
+    const revisions = (data && Array.isArray(data.revisions)) ? data.revisions.filter(r => r && r.id !== undefined) : [];
+    state.a = revisions.length ? String(revisions[0].id) : null;
+
+    const row = (id, title, sub, withRestore) => `
+       <div class="rev-row" data-id="${U.escAttr(id)}" style="display:flex;gap:8px;align-items:center;padding:10px 12px;border-bottom:1px solid #1f2937;">
+         <label title="Compare from" style="display:flex;flex-direction:column;align-items:center;color:#9ca3af;">A<input type="radio" name="rev-a" value="${U.escAttr(id)}" ${state.a === id ? 'checked' : ''}></label>
+         <label title="Compare to" style="display:flex;flex-direction:column;align-items:center;color:#9ca3af;">B<input type="radio" name="rev-b" value="${U.escAttr(id)}" ${state.b === id ? 'checked' : ''}></label>
+         <div style="flex:1;min-width:0;">
+           <div style="font-weight:700;overflow:hidden;white-space:nowrap;text-overflow:ellipsis;">${U.escapeHtml(title)}</div>
+           <div style="color:#9ca3af;">${U.escapeHtml(sub)}</div>
+         </div>
+         ${withRestore ? '<button class="rev-restore" style="background:#2563eb;border:none;color:#fff;padding:4px 8px;border-radius:4px;cursor:pointer;">Restore</button>' : ''}
+       </div>`;
+    list.innerHTML = row('current', 'Current editor', 'Unsaved state', false) +
+     (revisions.length
+      ? revisions.map(r => row(String(r.id), dateOf(r), `${authorOf(r)}${r.note ? ' · ' + r.note : ''}`, true)).join('')
+      : '<div style="padding:20px;text-align:center;color:#888;">No saved revisions yet</div>');
+
+    list.addEventListener('change', (e) => {
+     if (e.target.name === 'rev-a') state.a = e.target.value;
+     if (e.target.name === 'rev-b') state.b = e.target.value;
+     compare(state);
+    });
+    list.addEventListener('click', (e) => {
+     const btn = e.target.closest('.rev-restore');
+     if (!btn) return;
+     const id = btn.closest('.rev-row').dataset.id;
+     const rev = revisions.find(r => String(r.id) === id);
+     if (rev) restore(rev);
+    });
+    compare(state);
+   }
+
+   editorInstance.Commands.add('open-revisions', { run: () => open() });
+   U.toolbarButton('btn-revisions', '🕘 History', () => editorInstance.runCommand('open-revisions'));
+   editorInstance.on('page:saved', () => {
+    if (!overlay) return;
+    overlay.close();
+    open();
+   });
+  })(editor);
+
+  /* ---------------------------
+     Meta panel: custom meta tags and structured data (JSON-LD)
+     --------------------------- */
+  // Appends a titled section to the meta tab and returns its body element.
+  function metaSection(title) {
+   const panel = document.getElementById('meta');
+   if (!panel) return null;
+   const section = document.createElement('div');
+   section.className = 'meta-section';
+   section.style.cssText = 'margin-top:16px;padding-top:12px;border-top:1px solid #374151;';
+   section.innerHTML = `<div style="font-weight:700;margin-bottom:8px;">${U.escapeHtml(title)}</div><div class="meta-section-body"></div>`;
+   panel.appendChild(section);
+   return section.querySelector('.meta-section-body');
+  }
+
+  // Text content of the current page, used to pre-fill structured data and SEO checks.
+  function collectPageOutline() {
+   const root = editor.getWrapper()?.getEl();
+   const value = id => (document.getElementById(id)?.value || '').trim();
+   const outline = {
+    title: value('meta-title') || value('page-title'),
+    pageTitle: value('page-title'),
+    description: value('meta-description'),
+    image: value('meta-og-image'),
+    url: window.PAGE_URL || '',
+    headings: [],
+    paragraphs: [],
+    images: [],
+    faqs: []
+   };
+   if (!root) return outline;
+   const text = el => (el.textContent || '').replace(/\s+/g, ' ').trim();
+   root.querySelectorAll('h1,h2,h3,h4,h5,h6').forEach(h => outline.headings.push({ level: Number(h.tagName[1]), text: text(h), el: h }));
+   root.querySelectorAll('p').forEach(p => { const t = text(p); if (t) outline.paragraphs.push(t); });
+   root.querySelectorAll('img').forEach(img => outline.images.push({ src: img.getAttribute('src') || '', alt: img.getAttribute('alt') }));
+   // FAQ: <details><summary>Q</summary>A</details>, or a heading ending in "?" followed by its answer.
+   root.querySelectorAll('details').forEach(d => {
+    const q = d.querySelector('summary');
+    if (!q) return;
+    const answer = text(d).slice(text(q).length).trim();
+    if (answer) outline.faqs.push({ question: text(q), answer });
+   });
+   outline.headings.filter(h => h.text.endsWith('?')).forEach(h => {
+    const next = h.el.nextElementSibling;
+    const answer = next && !/^H[1-6]$/.test(next.tagName) ? text(next) : '';
+    if (answer) outline.faqs.push({ question: h.text, answer });
+   });
+   if (!outline.image && outline.images.length) outline.image = outline.images[0].src;
+   if (!outline.description && outline.paragraphs.length) outline.description = outline.paragraphs[0].slice(0, 160);
+   return outline;
+  }
+
+  const SCHEMA_TEMPLATES = {
+   Article: o => ({
+    '@context': 'https://schema.org', '@type': 'Article',
+    headline: o.title || '', description: o.description || '', image: o.image ? [o.image] : [],
+    author: { '@type': 'Person', name: '' },
+    datePublished: o.title ? new Date().toISOString().slice(0, 10) : '', dateModified: o.title ? new Date().toISOString().slice(0, 10) : ''
+   }),
+   Product: o => ({
+    '@context': 'https://schema.org', '@type': 'Product',
+    name: o.title || '', description: o.description || '', image: o.image ? [o.image] : [],
+    brand: { '@type': 'Brand', name: '' },
+    offers: { '@type': 'Offer', price: '', priceCurrency: 'EUR', availability: 'https://schema.org/InStock', url: o.url || '' }
+   }),
+   LocalBusiness: o => ({
+    '@context': 'https://schema.org', '@type': 'LocalBusiness',
+    name: o.title || '', description: o.description || '', image: o.image || '', url: o.url || '', telephone: '',
+    address: { '@type': 'PostalAddress', streetAddress: '', addressLocality: '', postalCode: '', addressCountry: '' },
+    openingHours: ''
+   }),
+   FAQPage: o => ({
+    '@context': 'https://schema.org', '@type': 'FAQPage',
+    mainEntity: (o.faqs && o.faqs.length ? o.faqs : [{ question: '', answer: '' }]).map(f => ({
+     '@type': 'Question', name: f.question, acceptedAnswer: { '@type': 'Answer', text: f.answer }
+    }))
+   }),
+   BreadcrumbList: o => ({
+    '@context': 'https://schema.org', '@type': 'BreadcrumbList',
+    itemListElement: [
+     { '@type': 'ListItem', position: 1, name: 'Home', item: window.location.origin + '/' },
+     { '@type': 'ListItem', position: 2, name: o.pageTitle || o.title || '', item: o.url || '' }
+    ]
+   })
+  };
+
+  // Copies values from `source` into empty strings/arrays of `target`, keeping what the user typed.
+  function isBlankSchemaValue(v) {
+   if (v === undefined || v === null || v === '') return true;
+   if (Array.isArray(v)) return v.every(isBlankSchemaValue);
+   if (typeof v === 'object') return Object.keys(v).every(k => k.startsWith('@') || isBlankSchemaValue(v[k]));
+   return false;
+  }
+
+  function fillEmptySchemaValues(target, source) {
+   Object.keys(source).forEach(k => {
+    const t = target[k];
+    const v = source[k];
+    if (isBlankSchemaValue(t)) target[k] = v;
+    else if (t && typeof t === 'object' && !Array.isArray(t) && v && typeof v === 'object' && !Array.isArray(v)) fillEmptySchemaValues(t, v);
+   });
+   return target;
+  }
+
+  (function metaPanelModule() {
+   // Custom meta tags: the rows in #meta-list are saved as meta_custom.
+   const list = document.getElementById('meta-list');
+   if (list && !document.getElementById('add-meta-row')) {
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.id = 'add-meta-row';
+    addBtn.className = 'bg-gray-700 text-white px-2 py-1 rounded text-sm';
+    addBtn.textContent = '+ Add meta tag';
+    addBtn.addEventListener('click', () => addCustomMetaRow(list, { name: '', content: '' }).querySelector('.meta-name').focus());
+    list.after(addBtn);
+   }
+   PAGE_PAYLOAD_PARTS.push({
+    key: 'meta_custom',
+    collect: () => JSON.stringify(getCustomMetaRows()),
+    apply: (value) => { try { setCustomMetaRows(JSON.parse(value || '[]')); } catch (e) { console.warn('Invalid meta_custom in payload', e); } }
+   });
+
+   // Structured data editor, saved as meta_schema.
+   const body = metaSection('Structured data (JSON-LD)');
+   if (!body) return;
+   body.innerHTML = `
+      <div style="display:flex;gap:6px;margin-bottom:6px;">
+        <select class="schema-type flex-1 px-2 py-1 text-black rounded">${Object.keys(SCHEMA_TEMPLATES).map(t => `<option value="${t}">${t}</option>`).join('')}</select>
+        <button type="button" class="schema-insert bg-gray-700 text-white px-2 rounded text-sm">Insert</button>
+        <button type="button" class="schema-fill bg-indigo-600 text-white px-2 rounded text-sm" title="Fill empty values from the page content">Fill from page</button>
+      </div>
+      <textarea class="schema-json w-full px-2 py-1 text-black rounded" rows="12" spellcheck="false" style="font-family:monospace;font-size:12px;" placeholder='{ "@context": "https://schema.org", "@type": "Article", ... }'></textarea>
+      <div class="schema-status" style="font-size:12px;margin-top:4px;"></div>`;
+   const typeSel = body.querySelector('.schema-type');
+   const textarea = body.querySelector('.schema-json');
+   const statusEl = body.querySelector('.schema-status');
+   const showStatus = () => {
+    const error = validateJsonLd(textarea.value);
+    statusEl.style.color = error ? '#f87171' : '#34d399';
+    statusEl.textContent = textarea.value.trim() ? (error ? `⚠️ ${error}` : '✅ Valid JSON-LD') : '';
+   };
+   const setSchema = (obj) => {
+    textarea.value = obj ? JSON.stringify(obj, null, 2) : '';
+    showStatus();
+   };
+   textarea.addEventListener('input', U.debounce(showStatus, 300));
+   body.querySelector('.schema-insert').addEventListener('click', () => {
+    if (textarea.value.trim() && !confirm('Replace the current structured data with an empty template?')) return;
+    setSchema(SCHEMA_TEMPLATES[typeSel.value]({}));
+   });
+   body.querySelector('.schema-fill').addEventListener('click', () => {
+    const generated = SCHEMA_TEMPLATES[typeSel.value](collectPageOutline());
+    let current = null;
+    try { current = textarea.value.trim() ? JSON.parse(textarea.value) : null; } catch (e) { current = null; }
+    setSchema(current && !Array.isArray(current) && current['@type'] === typeSel.value ? fillEmptySchemaValues(current, generated) : generated);
+   });
+
+   const load = (value) => {
+    textarea.value = value || '';
+    try {
+     const parsed = JSON.parse(value);
+     const type = (Array.isArray(parsed) ? parsed[0] : parsed)['@type'];
+     if (SCHEMA_TEMPLATES[type]) typeSel.value = type;
+    } catch (e) { /* keep as typed */ }
+    showStatus();
+   };
+   if (window.META_DATA && META_DATA.schema) load(typeof META_DATA.schema === 'string' ? META_DATA.schema : JSON.stringify(META_DATA.schema, null, 2));
+   PAGE_PAYLOAD_PARTS.push({ key: 'meta_schema', collect: () => textarea.value.trim(), apply: load });
+  })();
+
+  /* ---------------------------
+     SEO analysis (focus keyword, SERP preview, content checks)
+     - Everything is read from the component tree, not the canvas DOM
+     --------------------------- */
+  const SEO_LIMITS = { titleMin: 30, titleMax: 60, descriptionMin: 120, descriptionMax: 160, minWords: 300, maxDensity: 3 };
+
+  function componentText(cmp) {
+   if (cmp.get('type') === 'textnode') return cmp.get('content') || '';
+   const own = cmp.get('content') || '';
+   return own + cmp.components().map(componentText).join(cmp.get('tagName') && /^(p|div|li|h[1-6]|section|article|td|th|br)$/.test(cmp.get('tagName')) ? ' ' : '');
+  }
+
+  function walkComponents(cmp, visit) {
+   cmp.components().forEach(child => {
+    // Rendered shortcode output is not part of the page content the editor wrote.
+    if (child.get('type') === 'shortcode-block' && !child.isEnclosing()) return;
+    if (visit(child) !== false) walkComponents(child, visit);
+   });
+  }
+
+  function seoSlug(text) {
+   return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  function collectSeoData() {
+   const value = id => (document.getElementById(id)?.value || '').trim();
+   const data = {
+    title: value('meta-title') || value('page-title'),
+    description: value('meta-description'),
+    keyword: value('meta-fokus-keyword').split(',')[0].trim(),
+    url: window.PAGE_URL || `${window.location.origin}/${seoSlug(value('page-title'))}`,
+    headings: [],
+    paragraphs: [],
+    images: [],
+    links: [],
+    text: ''
+   };
+   const wrapperComp = editor.getWrapper();
+   if (!wrapperComp) return data;
+   const texts = [];
+   walkComponents(wrapperComp, cmp => {
+    const tag = (cmp.get('tagName') || '').toLowerCase();
+    const attrs = cmp.getAttributes();
+    if (/^h[1-6]$/.test(tag)) data.headings.push({ level: Number(tag[1]), text: componentText(cmp).replace(/\s+/g, ' ').trim() });
+    if (tag === 'p') { const t = componentText(cmp).replace(/\s+/g, ' ').trim(); if (t) data.paragraphs.push(t); }
+    if (tag === 'img' || cmp.get('type') === 'image') data.images.push({ src: attrs.src || cmp.get('src') || '', alt: attrs.alt });
+    if (tag === 'a') data.links.push({ href: (attrs.href || '').trim(), text: componentText(cmp).trim() });
+    if (cmp.get('type') === 'textnode') texts.push(cmp.get('content') || '');
+    return !['script', 'style'].includes(tag);
+   });
+   data.text = texts.join(' ').replace(/\s+/g, ' ').trim();
+   return data;
+  }
+
+  // Returns [{ status: 'good' | 'warn' | 'bad', message }].
+  function analyzeSeo(data) {
+   const results = [];
+   const add = (status, message) => results.push({ status, message });
+   const kw = data.keyword.toLowerCase();
+   const has = text => !!kw && String(text || '').toLowerCase().includes(kw);
+
+   const tl = data.title.length;
+   if (!tl) add('bad', 'The page has no title.');
+   else if (tl < SEO_LIMITS.titleMin) add('warn', `Title is short (${tl} characters, aim for ${SEO_LIMITS.titleMin}–${SEO_LIMITS.titleMax}).`);
+   else if (tl > SEO_LIMITS.titleMax) add('warn', `Title is ${tl} characters; search results cut it off after about ${SEO_LIMITS.titleMax}.`);
+   else add('good', `Title length is good (${tl} characters).`);
+
+   const dl = data.description.length;
+   if (!dl) add('bad', 'No meta description; search engines will pick page text instead.');
+   else if (dl < SEO_LIMITS.descriptionMin) add('warn', `Meta description is short (${dl} characters, aim for ${SEO_LIMITS.descriptionMin}–${SEO_LIMITS.descriptionMax}).`);
+   else if (dl > SEO_LIMITS.descriptionMax) add('warn', `Meta description is ${dl} characters; it will be truncated after about ${SEO_LIMITS.descriptionMax}.`);
+   else add('good', `Meta description length is good (${dl} characters).`);
+
+   if (!kw) {
+    add('warn', 'Set a focus keyword to check keyword placement.');
+   } else {
+    const h1s = data.headings.filter(h => h.level === 1);
+    const subheadings = data.headings.filter(h => h.level > 1);
+    const alts = data.images.map(i => i.alt || '');
+    // A keyword without Latin letters or digits has no slug form, so the URL cannot be checked.
+    const kwSlug = seoSlug(kw);
+    [
+     [has(data.title), 'the title'],
+     [has(data.description), 'the meta description'],
+     [h1s.some(h => has(h.text)), 'the H1'],
+     [subheadings.some(h => has(h.text)), 'a subheading (H2–H6)'],
+     [has(data.paragraphs[0]), 'the first paragraph'],
+     [alts.some(has), 'an image alt text'],
+     [kwSlug ? data.url.toLowerCase().includes(kwSlug) : null, 'the URL']
+    ].filter(([ok]) => ok !== null).forEach(([ok, where]) => add(ok ? 'good' : (where === 'an image alt text' && !data.images.length ? 'warn' : 'bad'), `Focus keyword ${ok ? 'appears in' : 'is missing from'} ${where}.`));
+    const words = data.text.toLowerCase().split(/\s+/).filter(Boolean).length;
+    const occurrences = words ? data.text.toLowerCase().split(kw).length - 1 : 0;
+    const density = words ? (occurrences * kw.split(/\s+/).length / words) * 100 : 0;
+    if (density > SEO_LIMITS.maxDensity) add('warn', `Keyword density is ${density.toFixed(1)}%; above ${SEO_LIMITS.maxDensity}% reads as keyword stuffing.`);
+    else if (occurrences) add('good', `Keyword used ${occurrences} time(s) (${density.toFixed(1)}% density).`);
+   }
+
+   const h1Count = data.headings.filter(h => h.level === 1).length;
+   if (h1Count === 0) add('bad', 'The page has no H1 heading.');
+   else if (h1Count > 1) add('warn', `The page has ${h1Count} H1 headings; use exactly one.`);
+   else add('good', 'The page has a single H1.');
+   const skipped = data.headings.find((h, i) => i > 0 && h.level > data.headings[i - 1].level + 1);
+   if (skipped) add('warn', `Heading levels skip from H${data.headings[data.headings.indexOf(skipped) - 1].level} to H${skipped.level} ("${skipped.text.slice(0, 40)}").`);
+   if (data.headings.some(h => !h.text)) add('warn', 'Some headings are empty.');
+
+   const wordCount = data.text.split(/\s+/).filter(Boolean).length;
+   if (wordCount < SEO_LIMITS.minWords) add('warn', `Only ${wordCount} words of content; aim for at least ${SEO_LIMITS.minWords}.`);
+   else add('good', `${wordCount} words of content.`);
+
+   const linkable = data.links.filter(l => l.href && !/^(#|javascript:|mailto:|tel:)/i.test(l.href));
+   const isInternal = href => { try { return new URL(href, window.location.origin).origin === window.location.origin; } catch (e) { return false; } };
+   const internal = linkable.filter(l => isInternal(l.href)).length;
+   const external = linkable.length - internal;
+   add(internal ? 'good' : 'warn', `${internal} internal link(s)${internal ? '' : '; link to related pages on your site'}.`);
+   add(external ? 'good' : 'warn', `${external} external link(s)${external ? '' : '; consider citing relevant sources'}.`);
+   const empty = data.links.filter(l => !l.href).length;
+   if (empty) add('bad', `${empty} link(s) have no href.`);
+   return results;
+  }
+
+  (function seoModule() {
+   const body = metaSection('SEO analysis');
+   if (!body) return;
+   body.innerHTML = `
+      <div class="seo-serp" style="background:#fff;border-radius:8px;padding:12px;font-family:arial,sans-serif;margin-bottom:10px;"></div>
+      <div class="seo-score" style="font-weight:700;margin-bottom:6px;"></div>
+      <ul class="seo-results" style="list-style:none;padding:0;margin:0;font-size:12px;"></ul>`;
+   const icon = { good: '✅', warn: '⚠️', bad: '❌' };
+   const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+   function run() {
+    const data = collectSeoData();
+    let urlText = data.url;
+    try { const u = new URL(data.url); urlText = [u.host].concat(u.pathname.split('/').filter(Boolean)).join(' › '); } catch (e) { /* keep raw */ }
+    body.querySelector('.seo-serp').innerHTML = `
+      <div style="color:#202124;font-size:12px;">${U.escapeHtml(urlText)}</div>
+      <div style="color:#1a0dab;font-size:18px;line-height:1.3;margin:2px 0;">${U.escapeHtml(truncate(data.title || 'Untitled page', SEO_LIMITS.titleMax))}</div>
+      <div style="color:#4d5156;font-size:13px;line-height:1.5;">${U.escapeHtml(truncate(data.description || data.paragraphs[0] || '', SEO_LIMITS.descriptionMax))}</div>`;
+    const results = analyzeSeo(data);
+    const score = Math.round(results.reduce((n, r) => n + (r.status === 'good' ? 1 : r.status === 'warn' ? 0.5 : 0), 0) / Math.max(1, results.length) * 100);
+    const scoreEl = body.querySelector('.seo-score');
+    scoreEl.textContent = `SEO score: ${score}/100`;
+    scoreEl.style.color = score >= 80 ? '#34d399' : score >= 50 ? '#fbbf24' : '#f87171';
+    body.querySelector('.seo-results').innerHTML = results.map(r => `<li style="margin-bottom:4px;">${icon[r.status]} ${U.escapeHtml(r.message)}</li>`).join('');
+   }
+
+   const schedule = U.debounce(run, 600);
+   editor.on('load', schedule);
+   editor.on('update', schedule);
+   Object.values(PAGE_FIELDS).forEach(id => document.getElementById(id)?.addEventListener('input', schedule));
+   schedule();
+  })();
 
-   // Validate shortcode name
-   const isValidShortcodeName = (n) => typeof n === 'string' && /^[a-zA-Z0-9_-]+$/.test(n);
+  /* ---------------------------
+     Social sharing: Open Graph / Twitter fields and card previews
+     - Empty fields fall back to the SEO title/description when rendered and published
+     --------------------------- */
+  const OG_IMAGE_SIZE = { width: 1200, height: 630, minWidth: 600, minHeight: 315 };
+
+  (function socialModule() {
+   const body = metaSection('Social sharing');
+   if (!body) return;
+   const field = (key, label, tag = 'input') => `
+      <label style="display:block;font-size:12px;margin:8px 0 2px;">${label}</label>
+      <${tag} class="social-field w-full px-2 py-1 text-black rounded" data-key="${key}" ${tag === 'textarea' ? 'rows="2"></textarea>' : '>'}`;
+   body.innerHTML = `
+      ${field('meta_og_title', 'og:title')}
+      ${field('meta_og_description', 'og:description', 'textarea')}
+      <label style="display:block;font-size:12px;margin:8px 0 2px;">twitter:card</label>
+      <select class="social-field w-full px-2 py-1 text-black rounded" data-key="meta_twitter_card">
+        <option value="summary_large_image">Large image (summary_large_image)</option>
+        <option value="summary">Small image (summary)</option>
+      </select>
+      <div class="social-image-info" style="font-size:11px;margin-top:8px;color:#9ca3af;"></div>
+      <div style="display:flex;gap:4px;margin:10px 0 6px;">${['facebook', 'x', 'linkedin', 'slack'].map((n, i) => `<button type="button" data-card="${n}" class="social-tab px-2 py-1 rounded text-sm" style="background:${i ? '#374151' : '#2563eb'};color:#fff;">${{ facebook: 'Facebook', x: 'X / Twitter', linkedin: 'LinkedIn', slack: 'Slack' }[n]}</button>`).join('')}</div>
+      <div class="social-preview"></div>`;
+   const fields = {};
+   body.querySelectorAll('.social-field').forEach(el => { fields[el.dataset.key] = el; });
+   let card = 'facebook';
+   let imageInfo = null;
+
+   // OG image: pick from the media library instead of typing a URL.
+   const ogInput = document.getElementById('meta-og-image');
+   if (ogInput && !document.getElementById('meta-og-image-pick')) {
+    const pick = document.createElement('button');
+    pick.type = 'button';
+    pick.id = 'meta-og-image-pick';
+    pick.className = 'bg-gray-700 text-white px-2 py-1 rounded text-sm mt-1';
+    pick.textContent = '🖼 Choose from library';
+    pick.addEventListener('click', () => window.openMediaPicker && window.openMediaPicker(src => {
+     ogInput.value = src;
+     ogInput.dispatchEvent(new Event('input', { bubbles: true }));
+     document.getElementById('tab-meta')?.click();
+    }));
+    ogInput.after(pick);
+   }
 
-   const attrsObj = (typeof model.getAttributes === 'function') ? model.getAttributes() : (model.get('attributes') || {});
-   const originalShortcodeFromAttr = attrsObj['data-shortcode-original'] || attrsObj['data-shortcode'] || '';
+   const value = id => (document.getElementById(id)?.value || '').trim();
+   const resolved = () => ({
+    title: fields.meta_og_title.value.trim() || value('meta-title') || value('page-title') || 'Untitled page',
+    description: fields.meta_og_description.value.trim() || value('meta-description'),
+    image: value('meta-og-image'),
+    cardType: fields.meta_twitter_card.value,
+    host: (() => { try { return new URL(window.PAGE_URL || window.location.href).host; } catch (e) { return window.location.host; } })()
+   });
 
-   let content = '';
-   try {
-    const comps = model.get('components');
-    if (typeof comps === 'string') content = comps;
-    else if (comps && typeof comps === 'object') {
-     if (typeof comps.at === 'function') {
-      const first = comps.at(0);
-      content = first?.get?.('content') || first?.get?.('components') || '';
-      if (typeof content !== 'string') content = model.get('content') || '';
-     } else if (Array.isArray(comps)) {
-      content = (comps[0] && (comps[0].content || '')) || model.get('content') || '';
-     } else content = model.get('content') || '';
-    } else content = model.get('content') || '';
-   } catch (e) { content = model.get('content') || ''; }
-   content = (content + '').toString().trim();
+   function checkImage(src) {
+    imageInfo = null;
+    const info = body.querySelector('.social-image-info');
+    const guide = `Recommended: ${OG_IMAGE_SIZE.width}×${OG_IMAGE_SIZE.height} (1.91:1), at least ${OG_IMAGE_SIZE.minWidth}×${OG_IMAGE_SIZE.minHeight}.`;
+    if (!src) { info.textContent = `No og:image set. ${guide}`; return; }
+    const probe = new Image();
+    probe.onload = () => {
+     const w = probe.naturalWidth;
+     const h = probe.naturalHeight;
+     imageInfo = { w, h };
+     const ratio = w / h;
+     const target = OG_IMAGE_SIZE.width / OG_IMAGE_SIZE.height;
+     const notes = [`This image is ${w}×${h} (${ratio.toFixed(2)}:1).`];
+     if (w < OG_IMAGE_SIZE.minWidth || h < OG_IMAGE_SIZE.minHeight) notes.push('⚠️ Too small; most networks will show a small thumbnail or nothing.');
+     if (Math.abs(ratio - target) > 0.1) notes.push('⚠️ Large cards crop it to 1.91:1; keep the subject centered.');
+     info.textContent = `${notes.join(' ')} ${guide}`;
+     render();
+    };
+    probe.onerror = () => { info.textContent = `⚠️ The og:image could not be loaded. ${guide}`; };
+    probe.src = src;
+   }
 
-   const shortcodeText = originalShortcodeFromAttr || content;
-   const shortcodeName = U.extractShortcodeName(shortcodeText);
+   function render() {
+    const d = resolved();
+    const e = U.escapeHtml;
+    // Characters that could end the CSS string are percent-encoded before the attribute escaping.
+    const cssUrl = u => U.escAttr(String(u).replace(/["'()\\\s]/g, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`));
+    const img = (ratio, extra = '') => (d.image
+     ? `<div style="aspect-ratio:${ratio};background:#ddd url('${cssUrl(d.image)}') center/cover no-repeat;${extra}"></div>`
+     : `<div style="aspect-ratio:${ratio};background:#e5e7eb;display:flex;align-items:center;justify-content:center;color:#9ca3af;font-size:12px;${extra}">No image</div>`);
+    const clip = (t, n) => (t.length > n ? `${t.slice(0, n - 1)}…` : t);
+    const cards = {
+     facebook: `<div style="border:1px solid #dadde1;background:#fff;font-family:Helvetica,Arial,sans-serif;">
+        ${img('1.91/1')}
+        <div style="background:#f0f2f5;padding:10px 12px;">
+          <div style="color:#65676b;font-size:12px;text-transform:uppercase;">${e(d.host)}</div>
+          <div style="color:#050505;font-weight:600;font-size:16px;line-height:1.25;margin:3px 0;">${e(clip(d.title, 88))}</div>
+          <div style="color:#65676b;font-size:14px;">${e(clip(d.description, 110))}</div>
+        </div></div>`,
+     x: d.cardType === 'summary'
+      ? `<div style="display:flex;border:1px solid #cfd9de;border-radius:16px;overflow:hidden;background:#fff;font-family:-apple-system,Helvetica,Arial,sans-serif;">
+          <div style="width:130px;flex-shrink:0;">${img('1/1')}</div>
+          <div style="padding:10px 12px;min-width:0;">
+            <div style="color:#536471;font-size:14px;">${e(d.host)}</div>
+            <div style="color:#0f1419;font-size:15px;">${e(clip(d.title, 70))}</div>
+            <div style="color:#536471;font-size:14px;">${e(clip(d.description, 120))}</div>
+          </div></div>`
+      : `<div style="font-family:-apple-system,Helvetica,Arial,sans-serif;">
+          <div style="position:relative;border:1px solid #cfd9de;border-radius:16px;overflow:hidden;">${img('1.91/1')}
+            <span style="position:absolute;left:12px;bottom:12px;background:rgba(0,0,0,.77);color:#fff;font-size:13px;padding:0 4px;border-radius:4px;">${e(clip(d.title, 70))}</span>
+          </div>
+          <div style="color:#536471;font-size:13px;margin-top:4px;">From ${e(d.host)}</div></div>`,
+     linkedin: `<div style="border:1px solid #e0e0e0;border-radius:8px;overflow:hidden;background:#fff;font-family:-apple-system,system-ui,sans-serif;">
+        ${img('1.91/1')}
+        <div style="padding:8px 12px;background:#eef3f8;">
+          <div style="color:rgba(0,0,0,.9);font-weight:600;font-size:14px;">${e(clip(d.title, 70))}</div>
+          <div style="color:rgba(0,0,0,.6);font-size:12px;">${e(d.host)}</div>
+        </div></div>`,
+     slack: `<div style="display:flex;gap:10px;background:#fff;padding:8px;font-family:Lato,Slack-Lato,Helvetica,sans-serif;">
+        <div style="width:4px;border-radius:4px;background:#ddd;flex-shrink:0;"></div>
+        <div style="min-width:0;">
+          <div style="color:#1d1c1d;font-weight:700;font-size:13px;">${e(d.host)}</div>
+          <div style="color:#1264a3;font-weight:700;font-size:15px;">${e(d.title)}</div>
+          <div style="color:#1d1c1d;font-size:14px;margin-bottom:6px;">${e(clip(d.description, 200))}</div>
+          ${d.image ? `<div style="max-width:360px;border-radius:8px;overflow:hidden;">${img(imageInfo ? `${imageInfo.w}/${imageInfo.h}` : '1.91/1')}</div>` : ''}
+        </div></div>`
+    };
+    body.querySelector('.social-preview').innerHTML = cards[card];
+   }
 
-   if (!isValidShortcodeName(shortcodeName)) return;
+   body.querySelectorAll('.social-tab').forEach(btn => btn.addEventListener('click', () => {
+    card = btn.dataset.card;
+    body.querySelectorAll('.social-tab').forEach(b => { b.style.background = b === btn ? '#2563eb' : '#374151'; });
+    render();
+   }));
+   const schedule = U.debounce(render, 250);
+   Object.values(fields).forEach(el => el.addEventListener(el.tagName === 'SELECT' ? 'change' : 'input', schedule));
+   ['meta-title', 'meta-description', 'page-title'].forEach(id => document.getElementById(id)?.addEventListener('input', schedule));
+   ogInput?.addEventListener('input', U.debounce(() => checkImage(value('meta-og-image')), 400));
+
+   // Placeholders show what will be used when a field is left empty.
+   const showFallbacks = () => {
+    fields.meta_og_title.placeholder = value('meta-title') || value('page-title');
+    fields.meta_og_description.placeholder = value('meta-description');
+   };
+   ['meta-title', 'meta-description', 'page-title'].forEach(id => document.getElementById(id)?.addEventListener('input', showFallbacks));
+
+   const meta = window.META_DATA || {};
+   fields.meta_og_title.value = meta.og_title || '';
+   fields.meta_og_description.value = meta.og_description || '';
+   if (meta.twitter_card) fields.meta_twitter_card.value = meta.twitter_card;
+   Object.keys(fields).forEach(key => PAGE_PAYLOAD_PARTS.push({
+    key,
+    collect: () => fields[key].value.trim(),
+    apply: (v) => { fields[key].value = v || (key === 'meta_twitter_card' ? 'summary_large_image' : ''); schedule(); }
+   }));
+   showFallbacks();
+   checkImage(value('meta-og-image'));
+   render();
+  })();
 
-   try {
-    const cfgRes = await fetch(`/admin/shortcodes/${encodeURIComponent(shortcodeName)}/config`);
-    if (!cfgRes.ok) {
-     console.warn(`Shortcode config not found for ${shortcodeName} (${cfgRes.status})`);
-     return;
+  /* ---------------------------
+     Accessibility audit
+     - Walks the component tree; contrast uses the computed styles in the canvas
+     - Each issue: { severity: 'error' | 'warning', message, cmp, fix?: { label, run() } }
+     --------------------------- */
+  (function a11yModule(editorInstance) {
+   let drawer = null;
+
+   const attrsOf = cmp => cmp.getAttributes();
+   const tagOf = cmp => (cmp.get('tagName') || '').toLowerCase();
+   const textOf = cmp => componentText(cmp).replace(/\s+/g, ' ').trim();
+   const hasImageWithAlt = cmp => cmp.find ? cmp.find('img').some(img => (attrsOf(img).alt || '').trim()) : false;
+   const accessibleName = cmp => {
+    const a = attrsOf(cmp);
+    return (a['aria-label'] || '').trim() || (a['aria-labelledby'] ? 'labelledby' : '') || textOf(cmp) || (a.title || '').trim() || (hasImageWithAlt(cmp) ? 'img' : '');
+   };
+   const promptAttr = (cmp, name, question, fallback) => ({
+    label: `Set ${name}`,
+    run: () => {
+     const v = prompt(question, fallback || '');
+     if (v === null) return false;
+     cmp.addAttributes({ [name]: v.trim() });
+     return true;
     }
-    const config = await cfgRes.json();
-    const traitDefs = (config.fields || []).map((f) => {
-     if (f.type === 'select') return { type: 'select', name: f.name, label: f.label, options: (f.options || []).map(opt => ({ id: opt, name: opt })), changeProp: 1 };
-     return { type: f.type === 'number' ? 'number' : 'text', name: f.name, label: f.label, placeholder: f.default || '', changeProp: 1 };
-    });
-    model.set('traits', traitDefs);
-    editor.TraitManager.render(model);
+   });
 
-    const parseAttrs = (text) => {
-     const result = {};
-     if (!text) return result;
-     const re = /(\w+)\s*=\s*"([^"]*)"|(\w+)\s*=\s*([^\s"]+)/g;
-     let m;
-     while ((m = re.exec(text)) !== null) {
-      if (m[1]) result[m[1]] = m[2];
-      else if (m[3]) result[m[3]] = m[4];
+   function collectIssues() {
+    const issues = [];
+    const wrapperComp = editorInstance.getWrapper();
+    if (!wrapperComp) return issues;
+    const add = (severity, cmp, message, fix) => issues.push({ severity, cmp, message, fix });
+    const labelsFor = new Set();
+    const assets = editorInstance.AssetManager.getAll ? editorInstance.AssetManager.getAll() : [];
+    wrapperComp.find('label').forEach(l => { if (attrsOf(l).for) labelsFor.add(attrsOf(l).for); });
+    const headings = [];
+
+    walkComponents(wrapperComp, cmp => {
+     const tag = tagOf(cmp);
+     const a = attrsOf(cmp);
+     if (a['aria-hidden'] === 'true') return false;
+
+     if (tag === 'img' || cmp.get('type') === 'image') {
+      // alt="" is only right for images explicitly marked decorative; media panel inserts
+      // without library alt text also end up with an empty alt.
+      const decorative = ['presentation', 'none'].includes(a.role);
+      if (a.alt === undefined || (!a.alt.trim() && !decorative)) {
+       const asset = assets.find(x => x.get('src') === (a.src || cmp.get('src')));
+       const libraryAlt = asset && asset.get('alt');
+       add('error', cmp, a.alt === undefined ? 'Image has no alt attribute.' : 'Image has empty alt text but is not marked decorative.', libraryAlt
+        ? { label: 'Use library alt text', run: () => { cmp.addAttributes({ alt: libraryAlt }); return true; } }
+        : {
+         label: 'Set alt text',
+         run: () => {
+          const v = prompt('Describe the image (leave empty to mark it as decorative):', '');
+          if (v === null) return false;
+          cmp.addAttributes(v.trim() ? { alt: v.trim() } : { alt: '', role: 'presentation' });
+          return true;
+         }
+        });
+      } else if (/\.(jpe?g|png|gif|webp|avif|svg)$/i.test(a.alt.trim())) {
+       add('warning', cmp, `Alt text looks like a file name ("${a.alt}").`, promptAttr(cmp, 'alt', 'Describe the image:'));
+      }
      }
-     return result;
-    };
 
-    const attrText = (shortcodeText.match(/\[([^\]]+)\]/) || [])[1] || '';
-    const parsedAttrs = parseAttrs(attrText);
-    traitDefs.forEach(td => {
-     const parsed = parsedAttrs[td.name];
-     if (parsed !== undefined) model.set(td.name, parsed);
-     else {
-      const cfgField = (config.fields || []).find(f => f.name === td.name);
-      if (cfgField && cfgField.default !== undefined) model.set(td.name, String(cfgField.default));
+     if (['input', 'textarea', 'select'].includes(tag) && !['hidden', 'submit', 'button', 'reset', 'image'].includes((a.type || '').toLowerCase())) {
+      const inLabel = (() => { let p = cmp.parent(); while (p) { if (tagOf(p) === 'label') return true; p = p.parent(); } return false; })();
+      const labelled = inLabel || (a.id && labelsFor.has(a.id)) || a['aria-label'] || a['aria-labelledby'] || a.title;
+      if (!labelled) {
+       const guess = a.placeholder || a.name || '';
+       add('error', cmp, `Form field (${tag}${a.type ? ` type="${a.type}"` : ''}) has no label.`, promptAttr(cmp, 'aria-label', 'Label for this field:', guess));
+      }
      }
-    });
 
-    if (!model.__shortcodeTraitHandlers) model.__shortcodeTraitHandlers = {};
-    Object.keys(model.__shortcodeTraitHandlers || {}).forEach(oldName => {
-     try { model.off(`change:${oldName}`, model.__shortcodeTraitHandlers[oldName]); } catch (e) { /* ignore */ }
+     if ((tag === 'button' || (tag === 'a' && a.href !== undefined)) && !accessibleName(cmp)) {
+      add('error', cmp, `${tag === 'a' ? 'Link' : 'Button'} has no accessible text.`, promptAttr(cmp, 'aria-label', `Text for this ${tag === 'a' ? 'link' : 'button'}:`));
+     }
+     if (tag === 'a' && (a.href === undefined || a.href === '' || a.href === '#')) {
+      add('warning', cmp, `Link "${textOf(cmp).slice(0, 30) || '…'}" has no real destination (href="${a.href || ''}").`);
+     }
+
+     if (/^h[1-6]$/.test(tag)) headings.push({ cmp, level: Number(tag[1]), text: textOf(cmp) });
+
+     if (tag === 'iframe' && !(a.title || '').trim()) add('warning', cmp, 'Embedded frame has no title.', promptAttr(cmp, 'title', 'Describe the embedded content:'));
+     if (Number(a.tabindex) > 0) add('warning', cmp, `Positive tabindex (${a.tabindex}) changes the keyboard order.`, { label: 'Remove tabindex', run: () => { const next = Object.assign({}, attrsOf(cmp)); delete next.tabindex; cmp.setAttributes(next); return true; } });
+     if ((tag === 'video' || tag === 'audio') && a.autoplay !== undefined && a.muted === undefined) add('warning', cmp, `Autoplaying ${tag} with sound.`, { label: 'Mute', run: () => { cmp.addAttributes({ muted: '' }); return true; } });
+
+     const contrast = checkContrast(cmp);
+     if (contrast) add(contrast.severity, cmp, contrast.message, contrast.fix);
+     return true;
     });
-    model.__shortcodeTraitHandlers = {};
-    traitDefs.forEach(tr => {
-     const handler = async () => {
-      const values = traitDefs
-       .map((t) => {
-        const v = model.get(t.name);
-        if (!v && v !== 0) return '';
-        const valWithQuotes = `"${String(v).replace(/"/g, '\\"')}"`;
-        return `${t.name}=${valWithQuotes}`;
-       })
-       .filter(Boolean)
-       .join(' ');
-      const shortcodeStr = values ? `[${shortcodeName} ${values}]` : `[${shortcodeName}]`;
-      try { model.addAttributes && model.addAttributes({ 'data-shortcode-original': shortcodeStr }); } catch (e) { /* ignore */ }
-      try { model.debouncedRender && model.debouncedRender(shortcodeStr); } catch (err) { console.error('Error auto-rendering shortcode', err); }
-     };
-     model.__shortcodeTraitHandlers[tr.name] = handler;
-     model.on(`change:${tr.name}`, handler);
+
+    const h1s = headings.filter(h => h.level === 1);
+    if (!h1s.length && headings.length) add('warning', headings[0].cmp, 'The page has no H1 heading.');
+    h1s.slice(1).forEach(h => add('warning', h.cmp, 'More than one H1 heading on the page.'));
+    headings.forEach((h, i) => {
+     if (!h.text) add('error', h.cmp, `Empty H${h.level} heading.`);
+     const prev = headings[i - 1];
+     if (prev && h.level > prev.level + 1) {
+      add('warning', h.cmp, `Heading level skips from H${prev.level} to H${h.level}.`, {
+       label: `Change to H${prev.level + 1}`,
+       run: () => { h.cmp.set('tagName', `h${prev.level + 1}`); return true; }
+      });
+     }
     });
-   } catch (err) {
-    console.error('Trait config load error:', err);
+    return issues.sort((x, y) => (x.severity === y.severity ? 0 : x.severity === 'error' ? -1 : 1));
    }
-  });
 
-  /* ============================
-     Auto-render shortcode after drop (component:add) with validation
-     ============================ */
-  editor.on('component:add', async (cmp) => {
-   if (!cmp || cmp.get('type') !== 'shortcode-block') return;
-   const shortcodeName = cmp.getAttributes()['data-shortcode'] || U.extractShortcodeName(cmp.get('components'));
-   if (!shortcodeName || typeof shortcodeName !== 'string' || !/^[a-zA-Z0-9_-]+$/.test(shortcodeName)) return;
+   // Only elements with their own text are checked; background images make the result unknowable.
+   function checkContrast(cmp) {
+    const el = cmp.getEl && cmp.getEl();
+    if (!el || !el.ownerDocument || !Array.from(el.childNodes).some(n => n.nodeType === 3 && n.textContent.trim())) return null;
+    const win = el.ownerDocument.defaultView;
+    const style = win.getComputedStyle(el);
+    const fg = parseCssColor(style.color);
+    if (!fg) return null;
+    let bg = { r: 255, g: 255, b: 255, a: 1 };
+    const layers = [];
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+     const cs = win.getComputedStyle(node);
+     if (cs.backgroundImage && cs.backgroundImage !== 'none') return null;
+     const c = parseCssColor(cs.backgroundColor);
+     if (c && c.a > 0) { layers.push(c); if (c.a >= 1) break; }
+    }
+    layers.reverse().forEach(c => { bg = blendColors(c, bg); });
+    const ratio = contrastRatio(blendColors(fg, bg), bg);
+    const size = parseFloat(style.fontSize) || 16;
+    const large = size >= 24 || (size >= 18.66 && Number(style.fontWeight) >= 700);
+    const needed = large ? 3 : 4.5;
+    if (ratio >= needed) return null;
+    const black = contrastRatio({ r: 0, g: 0, b: 0 }, bg);
+    const white = contrastRatio({ r: 255, g: 255, b: 255 }, bg);
+    const better = black >= white ? '#000000' : '#ffffff';
+    return {
+     severity: ratio < 3 ? 'error' : 'warning',
+     message: `Low text contrast ${ratio.toFixed(2)}:1 (needs ${needed}:1) for "${textOf(cmp).slice(0, 30)}".`,
+     fix: {
+      label: `Use ${better === '#000000' ? 'black' : 'white'} text`,
+      run: () => {
+       // Audit fixes go into the base styles, not the device or state currently being edited.
+       window.__GJSStyleSync.applyStyle(cmp, { color: better }, { mediaText: '', state: '' });
+       return true;
+      }
+     }
+    };
+   }
 
-   try {
-    const cfgRes = await fetch(`/admin/shortcodes/${encodeURIComponent(shortcodeName)}/config`);
-    const config = cfgRes.ok ? await cfgRes.json() : null;
+   function focusComponent(cmp) {
+    editorInstance.select(cmp);
+    const el = cmp.getEl && cmp.getEl();
+    if (el && el.scrollIntoView) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    document.getElementById('tab-traits')?.click();
+   }
 
-    const attrs = (config && config.fields || []).map((f) => {
-     const def = f.default ?? '';
-     if (!def || def === '') return '';
-     const valWithQuotes = /\s/.test(String(def)) ? `"${def}"` : def;
-     return `${f.name}=${valWithQuotes}`;
-    }).filter(Boolean).join(' ');
+   function render() {
+    if (!drawer) return;
+    const issues = collectIssues();
+    const errors = issues.filter(i => i.severity === 'error').length;
+    drawer.querySelector('.a11y-summary').innerHTML = issues.length
+     ? `❌ ${errors} error(s) · ⚠️ ${issues.length - errors} warning(s)`
+     : '✅ No issues found';
+    const list = drawer.querySelector('.a11y-list');
+    list.innerHTML = '';
+    issues.forEach(issue => {
+     const row = document.createElement('div');
+     row.style.cssText = `padding:8px 10px;margin-bottom:6px;border-radius:6px;cursor:pointer;background:#1f2937;border-left:4px solid ${issue.severity === 'error' ? '#ef4444' : '#f59e0b'};`;
+     row.innerHTML = `<div>${issue.severity === 'error' ? '❌' : '⚠️'} ${U.escapeHtml(issue.message)}</div>
+       <div style="color:#9ca3af;font-size:11px;margin-top:2px;">${U.escapeHtml(issue.cmp.getName ? issue.cmp.getName() : tagOf(issue.cmp))}</div>`;
+     if (issue.fix) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = `🔧 ${issue.fix.label}`;
+      btn.style.cssText = 'margin-top:6px;padding:3px 8px;background:#2563eb;color:#fff;border:none;border-radius:4px;cursor:pointer;font-size:11px;';
+      btn.addEventListener('click', (e) => {
+       e.stopPropagation();
+       if (issue.fix.run() !== false) setTimeout(render, 50);
+      });
+      row.appendChild(btn);
+     }
+     row.addEventListener('click', () => focusComponent(issue.cmp));
+     list.appendChild(row);
+    });
+   }
 
-    const shortcodeString = attrs ? `[${shortcodeName} ${attrs}]` : `[${shortcodeName}]`;
-    cmp.components(`<div style="color:gray;padding:12px;text-align:center;">Loading ${shortcodeName}...</div>`);
-    cmp.addAttributes({ 'data-shortcode-original': shortcodeString });
+   function open() {
+    if (drawer) return render();
+    drawer = document.createElement('div');
+    drawer.style.cssText = 'position:fixed;top:0;right:0;width:360px;height:100vh;background:#111827;color:#e5e7eb;z-index:9998;display:flex;flex-direction:column;box-shadow:-4px 0 16px rgba(0,0,0,.4);font-size:12px;';
+    drawer.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;padding:10px 14px;border-bottom:1px solid #374151;">
+        <strong style="font-size:14px;">♿ Accessibility audit</strong>
+        <span style="display:flex;gap:6px;">
+          <button type="button" class="a11y-rerun" style="padding:4px 10px;background:#374151;color:#fff;border:none;border-radius:4px;cursor:pointer;">Re-run</button>
+          <button type="button" class="a11y-close" style="padding:4px 10px;background:#ef4444;color:#fff;border:none;border-radius:4px;cursor:pointer;">Close</button>
+        </span>
+      </div>
+      <div class="a11y-summary" style="padding:8px 14px;font-weight:600;"></div>
+      <div class="a11y-list" style="flex:1;overflow-y:auto;padding:0 14px 14px;"></div>`;
+    document.body.appendChild(drawer);
+    drawer.querySelector('.a11y-rerun').addEventListener('click', render);
+    drawer.querySelector('.a11y-close').addEventListener('click', () => { drawer.remove(); drawer = null; });
+    render();
+   }
 
-    if (cmp.debouncedRender) await cmp.debouncedRender(shortcodeString);
-    editor.select(cmp);
-    editor.trigger('component:selected', { model: cmp });
+   const rerun = U.debounce(render, 800);
+   editorInstance.on('update', () => { if (drawer) rerun(); });
+   editorInstance.Commands.add('open-a11y-audit', { run: () => open() });
+   U.toolbarButton('btn-a11y', '♿ A11y', () => editorInstance.runCommand('open-a11y-audit'));
+  })(editor);
 
-    setTimeout(async () => {
-     try {
-      if (config) {
-       const traitDefs = (config.fields || []).map((f) => {
-        if (f.type === 'select') return { type: 'select', name: f.name, label: f.label, options: (f.options || []).map(o => ({ id: o, name: o })), changeProp: 1 };
-        return { type: f.type === 'number' ? 'number' : 'text', name: f.name, label: f.label, placeholder: f.default || '', changeProp: 1 };
-       });
-       cmp.set('traits', traitDefs);
-       editor.TraitManager.render(cmp);
-       document.getElementById('tab-traits')?.click();
-      }
-     } catch (err) { console.warn('Auto trait load failed:', err); }
-    }, 400);
-   } catch (err) {
-    console.error(`Auto-render failed for [${shortcodeName}]`, err);
-    cmp.components(`<div style="color:red;">Error loading [${shortcodeName}]</div>`);
+  /* ---------------------------
+     Theme (design tokens)
+     - Tokens are CSS custom properties on :root: site defaults from CONFIG.themeUrl
+       (or window.SITE_THEME), with per-page overrides saved in the page payload
+     - The generated :root block, plus zero-specificity base rules for body text, headings and
+       links that use the tokens, is injected into the canvas and saved as theme_css
+     --------------------------- */
+  (function themeModule(editorInstance) {
+   // kind decides which Style Manager properties get the token as a suggestion. Defaults equal the
+   // var() fallbacks in the built-in blocks, so an unconfigured theme leaves them looking the same.
+   const TOKENS = [
+    { group: 'Colors', name: '--color-primary', label: 'Primary', type: 'color', kind: 'color', value: '#2563eb' },
+    { group: 'Colors', name: '--color-secondary', label: 'Secondary', type: 'color', kind: 'color', value: '#2ecc71' },
+    { group: 'Colors', name: '--color-accent', label: 'Accent', type: 'color', kind: 'color', value: '#3498db' },
+    { group: 'Colors', name: '--color-text', label: 'Text', type: 'color', kind: 'color', value: '#333333' },
+    { group: 'Colors', name: '--color-muted', label: 'Muted text', type: 'color', kind: 'color', value: '#888888' },
+    { group: 'Colors', name: '--color-background', label: 'Background', type: 'color', kind: 'color', value: '#ffffff' },
+    { group: 'Colors', name: '--color-surface', label: 'Surface', type: 'color', kind: 'color', value: '#eeeeee' },
+    { group: 'Colors', name: '--color-border', label: 'Border', type: 'color', kind: 'color', value: '#cccccc' },
+    { group: 'Colors', name: '--color-dark', label: 'Dark', type: 'color', kind: 'color', value: '#333333' },
+    { group: 'Colors', name: '--color-darker', label: 'Darker', type: 'color', kind: 'color', value: '#222222' },
+    { group: 'Typography', name: '--font-body', label: 'Body font', type: 'text', kind: 'font', value: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif' },
+    { group: 'Typography', name: '--font-heading', label: 'Heading font', type: 'text', kind: 'font', value: 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif' },
+    { group: 'Typography', name: '--font-size-base', label: 'Base size', type: 'text', kind: 'size', value: '16px' },
+    { group: 'Typography', name: '--font-scale', label: 'Scale ratio', type: 'number', kind: null, value: '1.25' },
+    { group: 'Spacing', name: '--space-xs', label: 'XS', type: 'text', kind: 'space', value: '4px' },
+    { group: 'Spacing', name: '--space-sm', label: 'S', type: 'text', kind: 'space', value: '8px' },
+    { group: 'Spacing', name: '--space-md', label: 'M', type: 'text', kind: 'space', value: '15px' },
+    { group: 'Spacing', name: '--space-lg', label: 'L', type: 'text', kind: 'space', value: '40px' },
+    { group: 'Spacing', name: '--space-xl', label: 'XL', type: 'text', kind: 'space', value: '64px' },
+    { group: 'Radii', name: '--radius-sm', label: 'Small', type: 'text', kind: 'radius', value: '4px' },
+    { group: 'Radii', name: '--radius-md', label: 'Medium', type: 'text', kind: 'radius', value: '6px' },
+    { group: 'Radii', name: '--radius-lg', label: 'Large', type: 'text', kind: 'radius', value: '10px' },
+    { group: 'Radii', name: '--radius-full', label: 'Pill', type: 'text', kind: 'radius', value: '9999px' }
+   ];
+   // Type scale derived from the base size and ratio; not edited directly.
+   const DERIVED = [
+    { name: '--text-sm', kind: 'size', value: 'calc(var(--font-size-base) / var(--font-scale))' },
+    { name: '--text-lg', kind: 'size', value: 'calc(var(--font-size-base) * var(--font-scale))' },
+    { name: '--text-xl', kind: 'size', value: 'calc(var(--font-size-base) * var(--font-scale) * var(--font-scale))' },
+    { name: '--text-2xl', kind: 'size', value: 'calc(var(--font-size-base) * var(--font-scale) * var(--font-scale) * var(--font-scale))' }
+   ];
+   const PROPERTY_KINDS = [
+    [/^font-family$/, 'font'],
+    [/^font-size$/, 'size'],
+    [/radius/, 'radius'],
+    [/color|^background$|^fill$|^stroke$/, 'color'],
+    [/^(margin|padding)(-|$)|gap$|^(top|right|bottom|left)$/, 'space']
+   ];
+
+   let siteValues = {};
+   let pageValues = {};
+   let drawer = null;
+
+   const parseValues = v => {
+    if (!v) return {};
+    if (typeof v === 'object') return v;
+    try { return JSON.parse(v) || {}; } catch (e) { return {}; }
+   };
+   const known = values => Object.fromEntries(Object.entries(values || {}).filter(([k, v]) => TOKENS.some(t => t.name === k) && String(v).trim()));
+   const effective = () => Object.assign(Object.fromEntries(TOKENS.map(t => [t.name, t.value])), siteValues, pageValues);
+   // Values go inside a style element, so anything that could close the rule is stripped.
+   const cleanValue = v => String(v).replace(/[{};<>]/g, '').trim();
+
+   // Base element rules that put the typography and color tokens to use. :where() keeps their
+   // specificity at zero, so block styles and the author's own rules still win.
+   const BASE_RULES = [
+    ':where(body) { font-family: var(--font-body); font-size: var(--font-size-base); color: var(--color-text); background-color: var(--color-background); }',
+    ':where(h1, h2, h3, h4, h5, h6) { font-family: var(--font-heading); }',
+    ':where(h1) { font-size: var(--text-2xl); }',
+    ':where(h2) { font-size: var(--text-xl); }',
+    ':where(h3) { font-size: var(--text-lg); }',
+    ':where(small, figcaption) { font-size: var(--text-sm); color: var(--color-muted); }',
+    ':where(a) { color: var(--color-primary); }'
+   ];
+
+   function themeCss(values = effective()) {
+    const lines = TOKENS.map(t => `  ${t.name}: ${cleanValue(values[t.name] ?? t.value)};`)
+     .concat(DERIVED.map(d => `  ${d.name}: ${d.value};`));
+    return `:root {\n${lines.join('\n')}\n}\n${BASE_RULES.join('\n')}`;
    }
-  });
 
-  /* ============================
-     Shortcode serialization for saving pages
-     ============================ */
-  function serializeShortcodes(instEditor) {
-   const wrapper = document.createElement('div');
-   wrapper.innerHTML = instEditor.getHtml();
-   wrapper.querySelectorAll('.shortcode-block').forEach(el => {
-    const shortcodeText = el.getAttribute('data-shortcode-original');
-    if (shortcodeText) {
-     el.innerHTML = '';
-     el.outerHTML = shortcodeText;
+   function injectIntoCanvas() {
+    const doc = editorInstance.Canvas.getDocument && editorInstance.Canvas.getDocument();
+    if (!doc || !doc.head) return;
+    let style = doc.getElementById('cms-theme-tokens');
+    if (!style) {
+     style = doc.createElement('style');
+     style.id = 'cms-theme-tokens';
+     doc.head.appendChild(style);
     }
-   });
-   return wrapper.innerHTML;
-  }
+    style.textContent = themeCss();
+   }
 
-  async function savePageData(url) {
-   const html = serializeShortcodes(editor);
-   const css = editor.getCss();
-   const meta = {
-    meta_title: document.getElementById('meta-title')?.value || '',
-    meta_description: document.getElementById('meta-description')?.value || '',
-    meta_keywords: document.getElementById('meta-keywords')?.value || '',
-    meta_og_image: document.getElementById('meta-og-image')?.value || '',
-    meta_fokus_keyword: document.getElementById('meta-fokus-keyword')?.value || '',
-   };
-   const response = await fetch(url, {
-    method: 'POST',
-    headers: Object.assign({ 'Content-Type': 'application/json', 'Accept': 'application/json' }, U.csrfTokenHeader()),
-    body: JSON.stringify({
-     title: document.getElementById('page-title')?.value || '',
-     html, css, ...meta
-    })
-   });
-   return await response.json();
-  }
+   // <datalist> per token kind; Style Manager inputs are pointed at the one for their property.
+   function syncDatalists() {
+    const kinds = [...new Set(TOKENS.concat(DERIVED).map(t => t.kind).filter(Boolean))];
+    const values = effective();
+    kinds.forEach(kind => {
+     let list = document.getElementById(`theme-tokens-${kind}`);
+     if (!list) {
+      list = document.createElement('datalist');
+      list.id = `theme-tokens-${kind}`;
+      document.body.appendChild(list);
+     }
+     list.innerHTML = TOKENS.concat(DERIVED).filter(t => t.kind === kind)
+      .map(t => `<option value="var(${t.name})" label="${U.escAttr(`${t.label || t.name} (${values[t.name] || t.value})`)}"></option>`).join('');
+    });
+   }
 
-  async function savePageAsComponent(url) {
-   if (window.__isSavingPageComponent) return;
-   window.__isSavingPageComponent = true;
-   try {
-    const html = editor.getHtml();
-    const css = editor.getCss ? editor.getCss() : '';
-    const js = editor.getJs ? editor.getJs() : '';
-    let id = document.getElementById('component-id')?.value || null;
-    if (!id) {
-     const wrapperComp = editor.getWrapper();
-     const dbWrapper = wrapperComp.find('.page-component-wrapper')[0];
-     if (dbWrapper) id = dbWrapper.getAttributes()['data-db-id'] || null;
-    }
-    const name = (document.getElementById('component-name')?.value || 'Untitled component').trim();
-    const payload = { id, name, category: 'Page Components', html, js };
-    if (css && css.trim().length > 0) payload.css = css;
-    const res = await fetch(url, {
-     method: 'POST',
-     headers: Object.assign({ 'Content-Type': 'application/json', Accept: 'application/json' }, U.csrfTokenHeader()),
-     body: JSON.stringify(payload)
+   function attachSuggestions(root) {
+    root.querySelectorAll('input[type="text"], input:not([type])').forEach(input => {
+     const holder = input.closest('[class*="gjs-sm-property__"]');
+     const match = holder && holder.className.match(/gjs-sm-property__([\w-]+)/);
+     if (!match) return;
+     const found = PROPERTY_KINDS.find(([re]) => re.test(match[1]));
+     if (found) input.setAttribute('list', `theme-tokens-${found[1]}`);
     });
-    const data = await res.json();
-    if (data?.id) {
-     let idInput = document.getElementById('component-id');
-     if (!idInput) { idInput = document.createElement('input'); idInput.type = 'hidden'; idInput.id = 'component-id'; document.body.appendChild(idInput); }
-     idInput.value = data.id;
+   }
+
+   function refresh() {
+    injectIntoCanvas();
+    syncDatalists();
+    if (drawer) renderFields();
+   }
+
+   function renderFields() {
+    const values = effective();
+    const body = drawer.querySelector('.theme-fields');
+    const groups = [...new Set(TOKENS.map(t => t.group))];
+    body.innerHTML = groups.map(group => `
+      <div style="font-weight:700;margin:12px 0 6px;">${U.escapeHtml(group)}</div>
+      ${TOKENS.filter(t => t.group === group).map(t => `
+        <label style="display:grid;grid-template-columns:110px 1fr auto;gap:6px;align-items:center;margin-bottom:6px;">
+          <span title="${U.escAttr(t.name)}">${U.escapeHtml(t.label)}${pageValues[t.name] !== undefined ? ' <span title="Overridden on this page" style="color:#f59e0b;">●</span>' : ''}</span>
+          <input data-token="${U.escAttr(t.name)}" type="${t.type === 'number' ? 'number' : 'text'}" ${t.type === 'number' ? 'step="0.05" min="1"' : ''} value="${U.escAttr(values[t.name])}" style="width:100%;padding:4px 6px;background:#1f2937;color:#e5e7eb;border:1px solid #374151;border-radius:4px;">
+          ${t.type === 'color' ? `<input data-token-color="${U.escAttr(t.name)}" type="color" value="${/^#[0-9a-f]{6}$/i.test(values[t.name]) ? values[t.name] : '#000000'}" style="width:28px;height:24px;padding:0;border:none;background:none;">` : '<span></span>'}
+        </label>`).join('')}`).join('');
+   }
+
+   function setPageValue(name, value) {
+    const v = String(value).trim();
+    if (!v || v === (siteValues[name] ?? TOKENS.find(t => t.name === name).value)) delete pageValues[name];
+    else pageValues[name] = cleanValue(v);
+    injectIntoCanvas();
+    syncDatalists();
+    editorInstance.trigger('update');
+   }
+
+   async function saveSiteDefault() {
+    const status = drawer.querySelector('.theme-status');
+    status.textContent = 'Saving…';
+    const theme = known(effective());
+    try {
+     const res = await fetch(CONFIG.themeUrl, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: Object.assign({ 'Content-Type': 'application/json', Accept: 'application/json' }, U.csrfTokenHeader()),
+      body: JSON.stringify({ theme, theme_css: themeCss(theme) })
+     });
+     const data = await res.json().catch(() => ({}));
+     if (!res.ok || data.success === false) throw new Error(data.message || `Request failed (${res.status})`);
+     siteValues = theme;
+     pageValues = {};
+     status.textContent = '✅ Saved as the site theme. Save the page to drop its overrides.';
+     refresh();
+     editorInstance.trigger('update');
+    } catch (e) {
+     status.textContent = `❌ ${e.message}`;
     }
-    alert(data.message || 'Component saved successfully');
-    return data;
-   } catch (e) {
-    console.error(e);
-    alert('Save failed');
-    return { success: false };
-   } finally { window.__isSavingPageComponent = false; }
-  }
+   }
+
+   function open() {
+    if (drawer) return;
+    drawer = document.createElement('div');
+    drawer.style.cssText = 'position:fixed;top:0;right:0;width:360px;height:100vh;background:#111827;color:#e5e7eb;z-index:9998;display:flex;flex-direction:column;box-shadow:-4px 0 16px rgba(0,0,0,.4);font-size:12px;';
+    drawer.innerHTML = `
+      <div style="display:flex;justify-content:space-between;align-items:center;padding:10px 14px;border-bottom:1px solid #374151;">
+        <strong style="font-size:14px;">🎨 Theme</strong>
+        <button type="button" class="theme-close" style="padding:4px 10px;background:#ef4444;color:#fff;border:none;border-radius:4px;cursor:pointer;">Close</button>
+      </div>
+      <div style="padding:8px 14px;color:#9ca3af;">Changes apply to this page; ● marks page overrides. In the Style Manager, pick <code>var(--…)</code> values to use a token.</div>
+      <div class="theme-fields" style="flex:1;overflow-y:auto;padding:0 14px;"></div>
+      <div style="padding:10px 14px;border-top:1px solid #374151;display:flex;flex-direction:column;gap:6px;">
+        <div style="display:flex;gap:6px;">
+          <button type="button" class="theme-reset" style="flex:1;padding:6px;background:#374151;color:#fff;border:none;border-radius:4px;cursor:pointer;">Reset page overrides</button>
+          <button type="button" class="theme-site" style="flex:1;padding:6px;background:#2563eb;color:#fff;border:none;border-radius:4px;cursor:pointer;">Save as site theme</button>
+        </div>
+        <div class="theme-status" style="color:#9ca3af;min-height:16px;"></div>
+      </div>`;
+    document.body.appendChild(drawer);
+    renderFields();
+    const fields = drawer.querySelector('.theme-fields');
+    fields.addEventListener('input', e => {
+     const name = e.target.dataset.token || e.target.dataset.tokenColor;
+     if (!name) return;
+     if (e.target.dataset.tokenColor) fields.querySelector(`[data-token="${name}"]`).value = e.target.value;
+     setPageValue(name, e.target.value);
+    });
+    fields.addEventListener('change', () => renderFields());
+    drawer.querySelector('.theme-reset').addEventListener('click', () => { pageValues = {}; refresh(); editorInstance.trigger('update'); });
+    drawer.querySelector('.theme-site').addEventListener('click', () => {
+     if (confirm('Use these values as the theme for every page on the site?')) saveSiteDefault();
+    });
+    drawer.querySelector('.theme-close').addEventListener('click', () => { drawer.remove(); drawer = null; });
+   }
+
+   PAGE_PAYLOAD_PARTS.push(
+    { key: 'theme', collect: () => (Object.keys(pageValues).length ? JSON.stringify(pageValues) : ''), apply: (v) => { pageValues = known(parseValues(v)); refresh(); } },
+    // Derived from the effective tokens; kept in the payload so the front end can inline it.
+    { key: 'theme_css', collect: () => themeCss(), apply: () => {} }
+   );
+
+   if (typeof PAGE_THEME !== 'undefined') pageValues = known(parseValues(PAGE_THEME));
+   if (window.SITE_THEME) siteValues = known(parseValues(window.SITE_THEME));
+   else {
+    fetchJson(CONFIG.themeUrl).then(data => {
+     if (!data) return;
+     siteValues = known(parseValues(data.theme || data));
+     refresh();
+    });
+   }
+
+   const styles = document.getElementById('styles');
+   if (styles) new MutationObserver(() => attachSuggestions(styles)).observe(styles, { childList: true, subtree: true });
+   editorInstance.on('load', refresh);
+   editorInstance.on('canvas:frame:load', injectIntoCanvas);
+   syncDatalists();
+
+   window.__GJSTheme = { css: () => themeCss(), tokens: () => effective() };
+   editorInstance.Commands.add('open-theme-panel', { run: () => open() });
+   U.toolbarButton('btn-theme', '🎨 Theme', () => editorInstance.runCommand('open-theme-panel'));
+  })(editor);
 
   /* ---------------------------
      Save modal hooks
@@ -1408,16 +4928,68 @@
   /* ---------------------------
      Code views (HTML/CSS)
      --------------------------- */
+  // Shortcodes are shown as their [placeholder] text and turned back into shortcode-blocks on apply.
   try {
    document.getElementById('btn-html-view').addEventListener('click', () => {
-    let htmlCode = editor.getHtml();
-    if (typeof html_beautify !== 'undefined') htmlCode = html_beautify(htmlCode, { indent_size: 2, wrap_line_length: 80 });
-    openCodeModal('HTML Code View', htmlCode, 'htmlmixed');
+    const pretty = (code) => (typeof html_beautify !== 'undefined' ? html_beautify(code, { indent_size: 2, wrap_line_length: 80 }) : code);
+    const scopes = [{
+     label: 'Page',
+     code: pretty(serializeShortcodes(editor)),
+     onApply(code) {
+      editor.setComponents(deserializeShortcodes(code));
+      renderLoadedShortcodes();
+     }
+    }];
+    const selected = editor.getSelected();
+    if (selected && selected !== editor.getWrapper()) {
+     scopes.push({
+      label: 'Selected component',
+      code: pretty(serializeShortcodeHtml(selected.toHTML())),
+      onApply(code) {
+       const html = deserializeShortcodes(code);
+       if (typeof selected.replaceWith === 'function') selected.replaceWith(html);
+       else {
+        const coll = selected.collection;
+        coll.add(html, { at: coll.indexOf(selected) });
+        selected.remove();
+       }
+       renderLoadedShortcodes();
+      }
+     });
+    }
+    openCodeModal('HTML Code View', null, 'htmlmixed', { scopes, validate: validateHtml });
    });
+   // Rules whose selectors include the component's #id or one of its classes, in stylesheet order.
+   const componentRules = cmp => {
+    const id = cmp.getId && cmp.getId();
+    const wanted = new Set([id ? `#${id}` : ''].concat(cmp.getClasses().map(name => `.${name}`)).filter(Boolean));
+    return editor.CssComposer.getAll().filter(rule => rule.get('selectors').some(sel => wanted.has(sel.getFullName())));
+   };
    document.getElementById('btn-css-view').addEventListener('click', () => {
-    let cssCode = editor.getCss();
-    if (typeof css_beautify !== 'undefined') cssCode = css_beautify(cssCode, { indent_size: 2, wrap_line_length: 80 });
-    openCodeModal('CSS Code View', cssCode, 'css');
+    const pretty = (code) => (typeof css_beautify !== 'undefined' ? css_beautify(code, { indent_size: 2, wrap_line_length: 80 }) : code);
+    const scopes = [{
+     label: 'Page',
+     code: pretty(editor.getCss()),
+     onApply(code) {
+      editor.setStyle(code);
+      window.__GJSStyleSync && window.__GJSStyleSync.syncRulesIntoComponents();
+     }
+    }];
+    const selected = editor.getSelected();
+    if (selected && selected !== editor.getWrapper()) {
+     const rules = componentRules(selected);
+     scopes.push({
+      label: 'Selected component',
+      code: pretty(rules.map(rule => rule.toCSS()).filter(Boolean).join('\n')),
+      // The shown rules are replaced by whatever the editor holds now; other rules stay as they are.
+      onApply(code) {
+       rules.forEach(rule => editor.CssComposer.remove ? editor.CssComposer.remove(rule) : rule.collection && rule.collection.remove(rule));
+       if (code.trim()) editor.CssComposer.addRules(code);
+       window.__GJSStyleSync && window.__GJSStyleSync.syncRulesIntoComponents();
+      }
+     });
+    }
+    openCodeModal('CSS Code View', null, 'css', { scopes, validate: validateCss });
    });
   } catch (e) { /* not fatal */ }
 
@@ -1511,7 +5083,7 @@
             <head>
               <link rel="stylesheet" href="${window.APP_CSS}">
               <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.7.2/css/all.min.css">
-              <style>body{margin:8px;font-family:system-ui,-apple-system,Segoe UI,Roboto,'Helvetica Neue',Arial}</style>
+              <style>${window.__GJSTheme ? window.__GJSTheme.css() : ''}body{margin:8px;font-family:system-ui,-apple-system,Segoe UI,Roboto,'Helvetica Neue',Arial}</style>
             </head>
             <body>${html}</body>
           </html>`);
@@ -1576,6 +5148,7 @@
       .gjs-trait-input { background-color:#1f2937 !important; border:1px solid #374151 !important; color:white !important; border-radius:6px !important; padding:8px 10px !important; font-size:12px !important; }
       .gjs-component-selected { border:2px solid #3b82f6 !important; box-shadow:0 0 0 2px rgba(59,130,246,.2) !important; }
       .gjs-am-assets-cont { background:#0f172a; border-radius:8px; padding:8px; }
+      .code-error-line { background:rgba(239,68,68,.28) !important; }
       @keyframes fadeIn { from { opacity:0; transform:translateY(-4px); } to { opacity:1; transform:none; } }
     `;
   document.head.appendChild(sidebarStyle);
@@ -1583,36 +5156,53 @@
   /* ---------------------------
      Deserialize PAGE_HTML (shortcodes) or create placeholder
      --------------------------- */
-  function deserializeShortcodes(html) {
-   if (!html) return html;
-   const wrapper = document.createElement('div');
-   wrapper.innerHTML = html;
-   const walker = document.createTreeWalker(wrapper, NodeFilter.SHOW_TEXT, null, false);
-   const nodesToReplace = [];
-   let textNode;
-   while ((textNode = walker.nextNode())) {
-    if (textNode.nodeValue.includes('[') && textNode.nodeValue.includes(']')) nodesToReplace.push(textNode);
-   }
-   nodesToReplace.forEach(node => {
-    const parent = node.parentNode;
-    const text = node.nodeValue;
-    const shortcodeRegex = /\[([a-zA-Z0-9_-]+)(?:\s+([^\]]*))?\]/g;
-    let lastIndex = 0;
-    let match;
-    while ((match = shortcodeRegex.exec(text)) !== null) {
-     if (match.index > lastIndex) parent.insertBefore(document.createTextNode(text.substring(lastIndex, match.index)), node);
-     const shortcodeDiv = document.createElement('div');
-     shortcodeDiv.setAttribute('data-gjs-type', 'shortcode-block');
-     shortcodeDiv.setAttribute('data-shortcode-original', match[0]);
-     shortcodeDiv.setAttribute('class', 'shortcode-block border border-dashed border-gray-400 rounded-md p-2 text-center text-gray-600');
-     shortcodeDiv.innerHTML = `<div style="color:gray;padding:12px;text-align:center;">Loading ${U.escapeHtml(match[1])}...</div>`;
-     parent.insertBefore(shortcodeDiv, node);
-     lastIndex = shortcodeRegex.lastIndex;
-    }
-    if (lastIndex < text.length) parent.insertBefore(document.createTextNode(text.substring(lastIndex)), node);
-    parent.removeChild(node);
+  // Swaps the shortcodes in marked attribute values for their rendered text, unless the value was edited.
+  async function renderAttributeShortcodes() {
+   const wrapperComp = editor.getWrapper();
+   const targets = wrapperComp ? wrapperComp.find(`[${SHORTCODE_ATTR}]`) : [];
+   if (!targets.length) return;
+   const originals = [];
+   targets.forEach(cmp => {
+    const entries = readAttributeShortcodes(cmp.getAttributes()[SHORTCODE_ATTR]);
+    Object.keys(entries).forEach(name => originals.push(entries[name].original));
    });
-   return wrapper.innerHTML;
+   const tokensOf = value => Shortcodes.tokenize(value);
+   const results = await ShortcodeRenderer.renderMany([].concat(...originals.map(v => tokensOf(v).filter(t => t.type === 'open').map(t => t.raw))));
+   const toText = html => { const tmp = document.createElement('div'); tmp.innerHTML = html; return tmp.textContent.trim(); };
+   targets.forEach(cmp => {
+    const attrs = cmp.getAttributes();
+    const entries = readAttributeShortcodes(attrs[SHORTCODE_ATTR]);
+    const updates = {};
+    Object.keys(entries).forEach(name => {
+     const entry = entries[name];
+     if (attrs[name] !== entry.original && attrs[name] !== entry.rendered) return;
+     entry.rendered = tokensOf(entry.original).map(t => {
+      if (t.type === 'text') return t.value;
+      const html = t.type === 'open' ? results.get(t.raw) : null;
+      return typeof html === 'string' ? toText(html) : t.raw;
+     }).join('');
+     updates[name] = entry.rendered;
+    });
+    updates[SHORTCODE_ATTR] = JSON.stringify(entries);
+    cmp.addAttributes(updates);
+   });
+  }
+
+  // Renders every shortcode-block currently in the wrapper (after setComponents).
+  function renderLoadedShortcodes() {
+   setTimeout(() => {
+    renderAttributeShortcodes().catch(e => console.warn('Error rendering attribute shortcodes:', e));
+    const wrapperComp = editor.getWrapper();
+    if (wrapperComp) {
+     const allShortcodes = wrapperComp.find('.shortcode-block');
+     allShortcodes.forEach(async (cmp) => {
+      try {
+       const shortcodeStr = cmp.getAttributes()['data-shortcode-original'] || '';
+       if (shortcodeStr && cmp.debouncedRender) await cmp.debouncedRender(shortcodeStr);
+      } catch (e) { console.warn('Error auto-rendering loaded shortcode:', e); }
+     });
+    }
+   }, 500);
   }
 
   if (typeof PAGE_ID !== "undefined" && typeof PAGE_HTML !== 'undefined' && PAGE_HTML) {
@@ -1620,19 +5210,7 @@
     const deserializedHTML = deserializeShortcodes(PAGE_HTML);
     editor.setComponents(deserializedHTML);
     editor.setStyle(PAGE_CSS || '');
-
-    setTimeout(() => {
-     const wrapperComp = editor.getWrapper();
-     if (wrapperComp) {
-      const allShortcodes = wrapperComp.find('.shortcode-block');
-      allShortcodes.forEach(async (cmp) => {
-       try {
-        const shortcodeStr = cmp.getAttributes()['data-shortcode-original'] || '';
-        if (shortcodeStr && cmp.debouncedRender) await cmp.debouncedRender(shortcodeStr);
-       } catch (e) { console.warn('Error auto-rendering loaded shortcode:', e); }
-      });
-     }
-    }, 500);
+    renderLoadedShortcodes();
    } catch (e) { console.warn('Error setting PAGE_HTML', e); }
   } else {
    try {
@@ -1661,46 +5239,26 @@
    try { doc = frame.contentDocument || frame.contentWindow.document; } catch (e) { console.warn('Cannot access iframe document (CSP or cross-origin):', e); return; }
    if (!doc || !doc.body) return;
 
+   // Look for shortcode text that is not a shortcode-block yet (rendered output is skipped).
    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT, null);
-   const targets = [];
-   while (true) {
+   let pending = false;
+   while (!pending) {
     const node = walker.nextNode();
     if (!node) break;
-    const txt = (node.nodeValue || '').trim();
-    if (!txt) continue;
-    if (/\[([a-zA-Z0-9_-]+)([^\]]*)\]/.test(txt)) targets.push(node);
+    const parent = node.parentElement;
+    if (!parent || SHORTCODE_SKIP_TAGS.has(parent.tagName)) continue;
+    const owner = parent.closest('.shortcode-block, .shortcode-content');
+    if (owner && owner.classList.contains('shortcode-block')) continue;
+    pending = Shortcodes.tokenize(node.nodeValue || '').some(t => t.type === 'open');
    }
-   if (!targets.length) return;
+   if (!pending) {
+    pending = Array.from(doc.body.querySelectorAll(`*:not([${SHORTCODE_ATTR}])`)).some(el => !el.closest('.shortcode-block') &&
+     Array.from(el.attributes).some(a => !a.name.startsWith('data-shortcode') && Shortcodes.tokenize(a.value).some(t => t.type === 'open')));
+   }
+   if (!pending) return;
 
-   const re = /\[([a-zA-Z0-9_-]+)([^\]]*)\]/g;
-   for (const textNode of targets) {
-    const original = textNode.nodeValue || '';
-    let lastIdx = 0;
-    let match;
-    const frag = doc.createDocumentFragment();
-    while ((match = re.exec(original)) !== null) {
-     const before = original.slice(lastIdx, match.index);
-     if (before) frag.appendChild(doc.createTextNode(before));
-     const shortcodeString = match[0];
-     let safeHtml;
-     try {
-      const json = await fetch('/shortcode/render', { method: 'POST', headers: Object.assign({ 'Content-Type': 'application/json' }, U.csrfTokenHeader()), body: JSON.stringify({ shortcode: shortcodeString }) }).then(r => r.json());
-      safeHtml = json.html || `<div style="color:gray;">${U.escapeHtml(shortcodeString)} not found</div>`;
-     } catch (e) { safeHtml = `<div style="color:red;">Error loading ${U.escapeHtml(shortcodeString)}</div>`; }
-     const wrap = doc.createElement('div');
-     wrap.className = 'shortcode-block border border-dashed border-gray-400 rounded-md p-2 text-center text-gray-600';
-     wrap.setAttribute('data-shortcode', match[1]);
-     wrap.setAttribute('data-shortcode-original', shortcodeString);
-     wrap.innerHTML = safeHtml;
-     frag.appendChild(wrap);
-     lastIdx = re.lastIndex;
-    }
-    const rest = original.slice(lastIdx);
-    if (rest) frag.appendChild(doc.createTextNode(rest));
-    if (textNode.parentNode) textNode.parentNode.replaceChild(frag, textNode);
-   }
-
-   instEditor.setComponents(instEditor.getHtml());
+   instEditor.setComponents(deserializeShortcodes(serializeShortcodes(instEditor)));
+   renderLoadedShortcodes();
   }
 
   editor.on('load', () => { renderShortcodesOnLoad(editor); });
@@ -1708,23 +5266,225 @@
   /* End DOMContentLoaded */
  }); // end DOMContentLoaded
 
- /* Code modal helper (outside DOMContentLoaded scope for reuse) */
- function openCodeModal(title, code, mode) {
-  const modalEl = document.createElement('div');
-  modalEl.style.cssText = 'position:fixed;top:0;left:0;width:100vw;height:100vh;background:#1e1e2f;z-index:9999;display:flex;flex-direction:column;overflow:hidden;';
-  modalEl.innerHTML = `
+ /* Full-screen overlay shell (outside DOMContentLoaded scope for reuse) */
+ function createOverlay(title) {
+  const el = document.createElement('div');
+  el.style.cssText = 'position:fixed;top:0;left:0;width:100vw;height:100vh;background:#1e1e2f;z-index:9999;display:flex;flex-direction:column;overflow:hidden;';
+  el.innerHTML = `
       <div style="background:#111827;color:#fff;padding:10px 20px;display:flex;justify-content:space-between;align-items:center;border-bottom:1px solid #333;">
         <h4 style="margin:0;font-size:16px;">${U.escapeHtml(title)}</h4>
-        <button id="close-code-view" style="background:#ef4444;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;">Close</button>
+        <div class="overlay-actions" style="display:flex;gap:8px;align-items:center;">
+          <button class="overlay-close" style="background:#ef4444;border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;">Close</button>
+        </div>
       </div>
+      <div class="overlay-body" style="flex:1;display:flex;overflow:hidden;"></div>`;
+  document.body.appendChild(el);
+  const overlay = {
+   el,
+   body: el.querySelector('.overlay-body'),
+   onClose: null,
+   addAction(label, onClick, background = '#2563eb') {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.textContent = label;
+    btn.style.cssText = `background:${background};border:none;color:#fff;padding:6px 12px;border-radius:4px;cursor:pointer;`;
+    btn.addEventListener('click', onClick);
+    el.querySelector('.overlay-actions').insertBefore(btn, el.querySelector('.overlay-close'));
+    return btn;
+   },
+   close() {
+    if (!el.isConnected) return;
+    try { overlay.onClose && overlay.onClose(); } catch (e) { /* ignore */ }
+    el.remove();
+   }
+  };
+  el.querySelector('.overlay-close').addEventListener('click', () => overlay.close());
+  return overlay;
+ }
+
+ /* ============================
+    Code view validation (outside DOMContentLoaded scope for reuse)
+    - Both return null when the code is usable, else { message, line }.
+    ============================ */
+ const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+ const OPTIONAL_END_ELEMENTS = new Set(['p', 'li', 'dt', 'dd', 'option', 'optgroup', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'colgroup', 'rt', 'rp']);
+ const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+ // Structured data check used by the meta panel and before saving; empty text is valid (no schema).
+ const JSON_LD_REQUIRED = { Article: ['headline'], Product: ['name'], LocalBusiness: ['name'], FAQPage: ['mainEntity'], BreadcrumbList: ['itemListElement'] };
+
+ function validateJsonLd(text) {
+  if (!text || !String(text).trim()) return null;
+  let data;
+  try { data = JSON.parse(text); } catch (e) { return `Invalid JSON: ${e.message}`; }
+  const items = Array.isArray(data) ? data : (data && data['@graph']) || [data];
+  for (const item of items) {
+   if (!item || typeof item !== 'object' || Array.isArray(item)) return 'Each entry must be a JSON object';
+   // A @graph shares the context of its wrapper.
+   const context = item['@context'] || (data && !Array.isArray(data) ? data['@context'] : '');
+   if (!String(context || '').includes('schema.org')) return '"@context" must be "https://schema.org"';
+   if (!item['@type']) return 'Missing "@type"';
+   const missing = (JSON_LD_REQUIRED[item['@type']] || []).filter(k => {
+    const v = item[k];
+    return v === undefined || v === '' || (Array.isArray(v) && !v.length);
+   });
+   if (missing.length) return `${item['@type']} is missing ${missing.map(k => `"${k}"`).join(', ')}`;
+  }
+  return null;
+ }
+
+ function lineAtOffset(text, offset) {
+  return String(text).slice(0, Math.max(0, offset)).split('\n').length;
+ }
+
+ function validateHtml(html) {
+  const src = String(html || '');
+  const stack = [];
+  let i = 0;
+  while (i < src.length) {
+   const lt = src.indexOf('<', i);
+   if (lt === -1) break;
+   if (src.startsWith('<!--', lt)) {
+    const end = src.indexOf('-->', lt + 4);
+    if (end === -1) return { message: 'Unclosed comment', line: lineAtOffset(src, lt) };
+    i = end + 3;
+    continue;
+   }
+   if (src[lt + 1] === '!' || src[lt + 1] === '?') {
+    const end = src.indexOf('>', lt);
+    i = end === -1 ? src.length : end + 1;
+    continue;
+   }
+   const m = /^<(\/?)([a-zA-Z][\w:-]*)/.exec(src.slice(lt, lt + 64));
+   if (!m) { i = lt + 1; continue; }
+   const name = m[2].toLowerCase();
+   const line = lineAtOffset(src, lt);
+
+   // Find the end of the tag; quotes only count as attribute value delimiters (after "=").
+   let j = lt + m[0].length;
+   let quote = null;
+   let prev = '';
+   while (j < src.length) {
+    const c = src[j];
+    if (quote) { if (c === quote) quote = null; }
+    else if ((c === '"' || c === "'") && prev === '=') quote = c;
+    else if (c === '>') break;
+    if (!/\s/.test(c)) prev = c;
+    j++;
+   }
+   if (j >= src.length) return { message: quote ? `Unclosed attribute quote in <${name}>` : `Unclosed tag <${name}>`, line };
+   i = j + 1;
+
+   if (m[1]) {
+    if (VOID_ELEMENTS.has(name)) continue;
+    let k = stack.length - 1;
+    while (k >= 0 && stack[k].name !== name && OPTIONAL_END_ELEMENTS.has(stack[k].name)) k--;
+    if (k < 0) return { message: `Unexpected closing tag </${name}>`, line };
+    if (stack[k].name !== name) return { message: `Unexpected closing tag </${name}>; <${stack[k].name}> from line ${stack[k].line} is still open`, line };
+    stack.length = k;
+    continue;
+   }
+   if (VOID_ELEMENTS.has(name) || src[j - 1] === '/') continue;
+   if (RAW_TEXT_ELEMENTS.has(name)) {
+    const close = src.toLowerCase().indexOf(`</${name}`, i);
+    if (close === -1) return { message: `Unclosed <${name}>`, line };
+    i = close;
+   }
+   if (OPTIONAL_END_ELEMENTS.has(name) && stack.length && stack[stack.length - 1].name === name) stack.pop();
+   stack.push({ name, line });
+  }
+  const open = stack.filter(el => !OPTIONAL_END_ELEMENTS.has(el.name)).pop();
+  return open ? { message: `Unclosed <${open.name}>`, line: open.line } : null;
+ }
+
+ function validateCss(css) {
+  const check = (text, base) => {
+   try {
+    parseCssBlocks(text, true).forEach(node => {
+     if (node.type === 'block' && CSS_GROUPING_AT_RULE.test(node.prelude.trim())) check(node.body, base + node.offset);
+    });
+   } catch (e) {
+    if (e.offset === undefined) throw e;
+    if (!e.absolute) { e.offset += base; e.absolute = true; }
+    throw e;
+   }
+  };
+  try {
+   check(String(css || ''), 0);
+   return null;
+  } catch (e) {
+   return { message: e.message, line: lineAtOffset(css, e.offset || 0) };
+  }
+ }
+
+ /**
+  * Code modal helper (outside DOMContentLoaded scope for reuse).
+  * Read-only unless an onApply is given. options.scopes ([{ label, code, onApply }]) adds switchable
+  * targets (e.g. page vs. selected component); options.validate(code) can block Apply with
+  * { message, line }, and errors thrown by onApply are shown the same way.
+  */
+ function openCodeModal(title, code, mode, options = {}) {
+  const scopes = (options.scopes && options.scopes.length)
+   ? options.scopes.map(sc => Object.assign({ value: sc.code || '' }, sc))
+   : [{ label: title, value: code || '', onApply: options.onApply }];
+  let active = scopes[0];
+
+  const overlay = createOverlay(title);
+  overlay.body.style.flexDirection = 'column';
+  overlay.body.innerHTML = `
+      <div class="code-error" style="display:none;background:#7f1d1d;color:#fecaca;padding:8px 20px;font-size:13px;"></div>
       <div id="code-editor-container" style="flex:1;display:flex;overflow:hidden;">
         <textarea id="code-view-area" style="flex:1;width:100%;height:100%;border:none;outline:none;resize:none;font-size:14px;"></textarea>
       </div>`;
-  document.body.appendChild(modalEl);
-  const cm = CodeMirror.fromTextArea(document.getElementById('code-view-area'), { mode, theme: 'dracula', lineNumbers: true, lineWrapping: true, readOnly: true, viewportMargin: Infinity });
-  cm.setValue(code);
+  const errorEl = overlay.body.querySelector('.code-error');
+  const cm = CodeMirror.fromTextArea(overlay.body.querySelector('#code-view-area'), { mode, theme: 'dracula', lineNumbers: true, lineWrapping: true, readOnly: !active.onApply, viewportMargin: Infinity });
+  overlay.onClose = () => cm.toTextArea();
+
+  let markedLine = null;
+  const clearError = () => {
+   errorEl.style.display = 'none';
+   if (markedLine !== null) cm.removeLineClass(markedLine, 'background', 'code-error-line');
+   markedLine = null;
+  };
+  const showError = ({ message, line }) => {
+   clearError();
+   errorEl.textContent = line ? `Line ${line}: ${message}` : message;
+   errorEl.style.display = 'block';
+   if (line) {
+    markedLine = Math.min(line, cm.lineCount()) - 1;
+    cm.addLineClass(markedLine, 'background', 'code-error-line');
+    cm.scrollIntoView({ line: markedLine, ch: 0 }, 80);
+   }
+  };
+  cm.on('change', () => { if (markedLine !== null || errorEl.style.display !== 'none') clearError(); });
+
+  const scopeButtons = scopes.length > 1 ? scopes.map(scope => overlay.addAction(scope.label, () => switchTo(scope), '#374151')) : [];
+  const applyBtn = scopes.some(sc => sc.onApply) ? overlay.addAction('Apply', () => {
+   clearError();
+   const value = cm.getValue();
+   const problem = options.validate ? options.validate(value) : null;
+   if (problem) return showError(problem);
+   try {
+    active.onApply(value);
+    overlay.close();
+   } catch (e) {
+    console.error('Code view apply failed', e);
+    showError({ message: e.message || String(e), line: e.line });
+   }
+  }, '#16a34a') : null;
+
+  function switchTo(scope) {
+   active.value = cm.getValue();
+   active = scope;
+   clearError();
+   cm.setOption('readOnly', !scope.onApply);
+   cm.setValue(scope.value);
+   scopeButtons.forEach((btn, idx) => { btn.style.background = scopes[idx] === scope ? '#2563eb' : '#374151'; });
+   if (applyBtn) applyBtn.style.display = scope.onApply ? '' : 'none';
+  }
+
+  switchTo(active);
   setTimeout(() => cm.refresh(), 150);
-  modalEl.querySelector('#close-code-view').addEventListener('click', () => { cm.toTextArea(); modalEl.remove(); });
  }
 
 })();
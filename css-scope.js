@@ -0,0 +1,160 @@
+/**
+ * css-scope.js
+ * Stylesheet splitting and selector scoping used by builder.js for block CSS and the CSS code view.
+ *
+ * - Plain string processing with no DOM or GrapesJS dependency.
+ * - In the browser it defines window.CMSCssScope; builder.js loads it when the page did not.
+ * - Under Node, require() returns the same object.
+ */
+
+(function (root, factory) {
+ if (typeof module === 'object' && module.exports) module.exports = factory();
+ else root.CMSCssScope = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+ 'use strict';
+
+ /* ============================
+    CSS scoping for block stylesheets
+    - parseCssBlocks splits a stylesheet into top-level rules/at-rules without touching
+      comments or strings; strict mode throws (with err.offset) instead of recovering.
+    - scopeCss prefixes every selector of every list, recursing into grouping at-rules
+      (@media, @supports, ...), leaves @keyframes/@font-face/@page bodies alone and maps
+      html/body/:root onto the scope wrapper itself.
+    ============================ */
+ const CSS_GROUPING_AT_RULE = /^@(?:-[a-z]+-)?(?:media|supports|container|layer|starting-style)\b/i;
+
+ function parseCssBlocks(css, strict = false) {
+  const src = String(css || '');
+  const len = src.length;
+  const nodes = [];
+  const fail = (message, offset) => {
+   const err = new Error(message);
+   err.offset = offset;
+   throw err;
+  };
+  // Returns the index just past the comment/string starting at i, or i itself.
+  const skip = (i) => {
+   const c = src[i];
+   if (c === '/' && src[i + 1] === '*') {
+    const end = src.indexOf('*/', i + 2);
+    if (end === -1) {
+     if (strict) fail('Unclosed comment', i);
+     return len;
+    }
+    return end + 2;
+   }
+   if (c === '"' || c === "'") {
+    let j = i + 1;
+    while (j < len && src[j] !== c && src[j] !== '\n') j += src[j] === '\\' ? 2 : 1;
+    if (src[j] !== c) {
+     if (strict) fail('Unclosed string', i);
+     return j;
+    }
+    return j + 1;
+   }
+   return i;
+  };
+
+  let start = 0;
+  let depth = 0;
+  let i = 0;
+  while (i < len) {
+   const next = skip(i);
+   if (next !== i) { i = next; continue; }
+   const c = src[i];
+   if (c === '(' || c === '[') depth++;
+   else if ((c === ')' || c === ']') && depth) depth--;
+   else if (c === ';' && !depth) {
+    nodes.push({ type: 'raw', text: src.slice(start, i + 1) });
+    start = i + 1;
+   } else if (c === '{') {
+    let level = 1;
+    let j = i + 1;
+    while (j < len && level) {
+     const n = skip(j);
+     if (n !== j) { j = n; continue; }
+     if (src[j] === '{') level++;
+     else if (src[j] === '}') level--;
+     j++;
+    }
+    if (level && strict) fail('Missing closing "}"', i);
+    const prelude = src.slice(start, i);
+    const lead = prelude.match(/^(?:\s|\/\*[\s\S]*?\*\/)*/)[0];
+    nodes.push({ type: 'block', lead, prelude: prelude.slice(lead.length), body: src.slice(i + 1, level ? len : j - 1), offset: i + 1 });
+    start = i = j;
+    depth = 0;
+    continue;
+   } else if (c === '}') {
+    if (strict) fail('Unexpected "}"', i);
+    // Browsers drop a stray closing brace; keep what came before it.
+    nodes.push({ type: 'raw', text: src.slice(start, i) });
+    start = i + 1;
+   }
+   i++;
+  }
+  const tail = src.slice(start);
+  if (strict && tail.replace(/\/\*[\s\S]*?\*\//g, '').trim()) fail('Expected "{" after selector', start + tail.search(/\S/));
+  if (tail) nodes.push({ type: 'raw', text: tail });
+  return nodes;
+ }
+
+ function splitSelectorList(prelude) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < prelude.length; i++) {
+   const c = prelude[i];
+   if (quote) {
+    if (c === '\\') i++;
+    else if (c === quote) quote = null;
+    continue;
+   }
+   if (c === '"' || c === "'") quote = c;
+   else if (c === '(' || c === '[') depth++;
+   else if ((c === ')' || c === ']') && depth) depth--;
+   else if (c === ',' && !depth) {
+    parts.push(prelude.slice(start, i));
+    start = i + 1;
+   }
+  }
+  parts.push(prelude.slice(start));
+  return parts.map(p => p.trim()).filter(Boolean);
+ }
+
+ function scopeSelector(selector, scope) {
+  const sel = selector.trim();
+  const escaped = scope.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (!sel || new RegExp(`^${escaped}(?![\\w-])`).test(sel)) return sel;
+  const rootRe = /^(?:html|body|:root)(?![\w-])/i;
+  if (!rootRe.test(sel)) return `${scope} ${sel}`;
+  // "html body.dark > .x" -> ".scope.dark > .x"
+  let rest = sel;
+  while (rootRe.test(rest)) {
+   rest = rest.replace(rootRe, '');
+   const after = rest.replace(/^\s*[>+~]?\s*/, '');
+   if (!rootRe.test(after)) break;
+   rest = after;
+  }
+  return scope + rest;
+ }
+
+ function scopeCss(css, scope) {
+  return parseCssBlocks(css).map(node => {
+   if (node.type !== 'block') return node.text;
+   const prelude = node.prelude.trim();
+   if (prelude.startsWith('@')) {
+    if (CSS_GROUPING_AT_RULE.test(prelude)) return `${node.lead}${prelude} {${scopeCss(node.body, scope)}}`;
+    return `${node.lead}${node.prelude}{${node.body}}`;
+   }
+   const selectors = splitSelectorList(prelude).map(sel => scopeSelector(sel, scope));
+   return `${node.lead}${selectors.join(', ')} {${node.body}}`;
+  }).join('');
+ }
+
+ return {
+  CSS_GROUPING_AT_RULE,
+  parseCssBlocks,
+  scopeCss
+ };
+});
@@ -0,0 +1,341 @@
+/**
+ * shortcodes.js
+ * Shortcode grammar and the HTML <-> shortcode-block conversion used by builder.js.
+ *
+ * - Kept free of GrapesJS and the builder UI so it can run outside the editor.
+ * - In the browser it defines window.CMSShortcodes; builder.js loads it when the page did not.
+ * - Under Node, require() returns the factory: pass it a DOM window (e.g. jsdom's).
+ */
+
+(function (root, factory) {
+ if (typeof module === 'object' && module.exports) module.exports = factory;
+ else root.CMSShortcodes = factory(root);
+})(typeof self !== 'undefined' ? self : this, function (win) {
+ 'use strict';
+
+ const document = win.document;
+ const Node = win.Node;
+
+ /* ============================
+    Shortcode grammar (shared parser/serializer)
+    - tokenize() finds opening "[name a=1 b="x ]" 'pos' /]", closing "[/name]" and
+      escaped "[[name]]" tags; anything else (including stray brackets) stays text.
+    - tree() pairs opening tags with their closing tag into enclosing nodes
+      ({ type: 'shortcode', name, attrs, raw, closeRaw, children }); an opening tag without
+      a matching close is self-closing and its would-be children stay siblings.
+    - serialize(parse(text)) === text: raw tag text is kept, build() is only used for new tags.
+    - Quoted values may contain "]"; \" and \\ are the only escapes inside quotes.
+    ============================ */
+ const Shortcodes = {
+  isValidName(name) {
+   return typeof name === 'string' && /^[a-zA-Z_][a-zA-Z0-9_-]*$/.test(name);
+  },
+
+  readValue(text, i) {
+   const q = text[i];
+   if (q === '"' || q === "'") {
+    let value = '';
+    let j = i + 1;
+    while (j < text.length && text[j] !== q) {
+     if (text[j] === '\\' && (text[j + 1] === q || text[j + 1] === '\\')) j++;
+     value += text[j++];
+    }
+    return j < text.length ? { value, quote: q, end: j + 1 } : null;
+   }
+   let j = i;
+   while (j < text.length && !/[\s\]"']/.test(text[j])) j++;
+   // "[img src=a.png/]": the slash closes the tag rather than ending the value.
+   if (text[j] === ']' && j > i && text[j - 1] === '/') j--;
+   return { value: text.slice(i, j), quote: '', end: j };
+  },
+
+  // Reads the tag starting at text[i] === '['; returns null when it is not a shortcode tag.
+  readTag(text, i) {
+   let j = i + 1;
+   const closing = text[j] === '/';
+   if (closing) j++;
+   const m = /^[a-zA-Z_][a-zA-Z0-9_:-]*/.exec(text.slice(j, j + 128));
+   if (!m) return null;
+   const name = m[0];
+   j += name.length;
+   if (!/[\s\]/]/.test(text[j] || '')) return null;
+   if (closing) {
+    while (/\s/.test(text[j] || '')) j++;
+    return text[j] === ']' ? { type: 'close', name, end: j + 1 } : null;
+   }
+   const attrs = [];
+   let selfClosing = false;
+   while (j < text.length) {
+    const c = text[j];
+    if (/\s/.test(c)) { j++; continue; }
+    if (c === ']') return { type: 'open', name, attrs, selfClosing, end: j + 1 };
+    if (c === '/' && text[j + 1] === ']') { selfClosing = true; j++; continue; }
+    if (c === '[' || selfClosing) return null;
+    let attrName = null;
+    let k = j;
+    const key = /^[a-zA-Z_][\w:.-]*/.exec(text.slice(j, j + 128));
+    if (key) {
+     let p = j + key[0].length;
+     while (/\s/.test(text[p] || '')) p++;
+     if (text[p] === '=') {
+      attrName = key[0];
+      p++;
+      while (/\s/.test(text[p] || '')) p++;
+      k = p;
+     }
+    }
+    const value = this.readValue(text, k);
+    if (!value) return null;
+    attrs.push({ name: attrName, value: value.value, quote: value.quote });
+    j = value.end;
+   }
+   return null;
+  },
+
+  tokenize(text) {
+   const src = String(text || '');
+   const tokens = [];
+   let last = 0;
+   let i = src.indexOf('[');
+   while (i !== -1) {
+    let token = null;
+    if (src[i + 1] === '[') {
+     const inner = this.readTag(src, i + 1);
+     if (inner && src[inner.end] === ']') token = { type: 'escaped', end: inner.end + 1 };
+    }
+    if (!token) token = this.readTag(src, i);
+    if (!token) {
+     i = src.indexOf('[', i + 1);
+     continue;
+    }
+    if (i > last) tokens.push({ type: 'text', value: src.slice(last, i) });
+    token.raw = src.slice(i, token.end);
+    tokens.push(token);
+    last = token.end;
+    i = src.indexOf('[', last);
+   }
+   if (last < src.length) tokens.push({ type: 'text', value: src.slice(last) });
+   return tokens;
+  },
+
+  // Builds the node tree; tokens of any other type (e.g. DOM nodes) pass through as leaves.
+  tree(tokens) {
+   const root = [];
+   const stack = [];
+   const container = () => (stack.length ? stack[stack.length - 1].node.children : root);
+   const unwrap = ({ node, parent }) => {
+    parent.splice(parent.indexOf(node) + 1, 0, ...node.children);
+    node.children = null;
+   };
+   tokens.forEach(tok => {
+    if (tok.type === 'open') {
+     const node = { type: 'shortcode', name: tok.name, attrs: tok.attrs, selfClosing: tok.selfClosing, raw: tok.raw, closeRaw: null, children: null };
+     const parent = container();
+     parent.push(node);
+     if (!tok.selfClosing) {
+      node.children = [];
+      stack.push({ node, parent });
+     }
+    } else if (tok.type === 'close') {
+     let k = stack.length - 1;
+     while (k >= 0 && stack[k].node.name !== tok.name) k--;
+     if (k < 0) {
+      container().push({ type: 'text', value: tok.raw });
+      return;
+     }
+     while (stack.length - 1 > k) unwrap(stack.pop());
+     stack.pop().node.closeRaw = tok.raw;
+    } else {
+     container().push(tok);
+    }
+   });
+   while (stack.length) unwrap(stack.pop());
+   return root;
+  },
+
+  parse(text) {
+   return this.tree(this.tokenize(text));
+  },
+
+  serialize(nodes) {
+   return (nodes || []).map(n => {
+    if (n.type === 'shortcode') {
+     const open = n.raw || this.build(n.name, n.attrs, n.selfClosing);
+     return n.children ? open + this.serialize(n.children) + (n.closeRaw || `[/${n.name}]`) : open;
+    }
+    return n.type === 'text' ? n.value : (n.raw || '');
+   }).join('');
+  },
+
+  // attrs: { key: value } or [{ name, value }] (name null = positional); null/undefined values are skipped.
+  build(name, attrs, selfClosing = false) {
+   const list = Array.isArray(attrs) ? attrs : Object.entries(attrs || {}).map(([k, v]) => ({ name: k, value: v }));
+   const parts = list.filter(a => a && a.value !== undefined && a.value !== null).map(a => {
+    const value = `"${String(a.value).replace(/\\(?=["\\]|$)/g, '\\\\').replace(/"/g, '\\"')}"`;
+    return a.name ? `${a.name}=${value}` : value;
+   });
+   return `[${name}${parts.length ? ' ' + parts.join(' ') : ''}${selfClosing ? ' /' : ''}]`;
+  },
+
+  // Named attributes by name, positional ones by their 0-based position.
+  attrsObject(attrs) {
+   const out = {};
+   let pos = 0;
+   (attrs || []).forEach(a => { out[a.name || String(pos++)] = a.value; });
+   return out;
+  },
+
+  // The first opening tag in text, or null.
+  openTag(text) {
+   return this.tokenize(text).find(t => t.type === 'open') || null;
+  }
+ };
+
+ function escapeHtml(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+ }
+
+ /* ============================
+    Shortcode serialization (editor HTML -> saved HTML)
+    ============================ */
+ // Inverse of deserializeShortcodes: blocks become their shortcode text again (innermost first,
+ // so nested shortcodes inside enclosing content are serialized before their parent).
+ function serializeShortcodeHtml(html) {
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = html;
+  wrapper.querySelectorAll(`[${SHORTCODE_ATTR}]`).forEach(restoreAttributeShortcodes);
+  Array.from(wrapper.querySelectorAll('.shortcode-block')).reverse().forEach(el => {
+   const shortcodeText = el.getAttribute('data-shortcode-original');
+   if (!shortcodeText) return;
+   const parts = [document.createTextNode(shortcodeText)];
+   const closeText = el.getAttribute('data-shortcode-close');
+   if (closeText) {
+    const content = Array.from(el.children).find(c => c.classList.contains('shortcode-content'));
+    if (content) parts.push(...Array.from(content.childNodes));
+    parts.push(document.createTextNode(closeText));
+   }
+   el.replaceWith(...parts);
+  });
+  wrapper.normalize();
+  return wrapper.innerHTML;
+ }
+
+ // Attribute values holding shortcodes (href="[site_url]/about") are rendered in the canvas;
+ // data-sc-attrs keeps { name: { original, rendered } } so the shortcode text can be put back on save.
+ const SHORTCODE_ATTR = 'data-sc-attrs';
+
+ function readAttributeShortcodes(value) {
+  try { return JSON.parse(value || '{}') || {}; } catch (e) { return {}; }
+ }
+
+ function markAttributeShortcodes(el) {
+  if (el.hasAttribute(SHORTCODE_ATTR)) return;
+  const entries = {};
+  Array.from(el.attributes).forEach(attr => {
+   if (attr.name.startsWith('data-shortcode') || attr.name.startsWith('data-gjs-')) return;
+   if (Shortcodes.tokenize(attr.value).some(t => t.type === 'open')) entries[attr.name] = { original: attr.value, rendered: null };
+  });
+  if (Object.keys(entries).length) el.setAttribute(SHORTCODE_ATTR, JSON.stringify(entries));
+ }
+
+ function restoreAttributeShortcodes(el) {
+  const entries = readAttributeShortcodes(el.getAttribute(SHORTCODE_ATTR));
+  Object.keys(entries).forEach(name => {
+   const current = el.getAttribute(name);
+   // A value the user edited after rendering is kept as typed.
+   if (current !== null && (current === entries[name].original || current === entries[name].rendered)) el.setAttribute(name, entries[name].original);
+  });
+  el.removeAttribute(SHORTCODE_ATTR);
+ }
+
+ /* ============================
+    Shortcode deserialization (saved HTML -> editor HTML with shortcode-blocks)
+    ============================ */
+ // Text inside these elements is never treated as shortcodes.
+ const SHORTCODE_SKIP_TAGS = new Set(['SCRIPT', 'STYLE', 'TEXTAREA', 'CODE', 'PRE']);
+ // Elements that only hold phrasing content; shortcodes directly inside them stay inline.
+ const PHRASING_PARENTS = new Set(['P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'A', 'SPAN', 'STRONG', 'EM', 'B', 'I', 'U', 'S', 'SMALL', 'MARK', 'LABEL', 'BUTTON', 'SUMMARY', 'LEGEND', 'Q', 'CITE', 'SUB', 'SUP', 'ABBR', 'TIME', 'DEL', 'INS']);
+
+ function deserializeShortcodes(html) {
+  if (!html) return html;
+  const wrapper = document.createElement('div');
+  wrapper.innerHTML = html;
+  deserializeShortcodeChildren(wrapper);
+  return wrapper.innerHTML;
+ }
+
+ // Shortcodes are matched among the children of one element, so an enclosing pair
+ // must open and close at the same level; its siblings in between become its content.
+ function deserializeShortcodeChildren(parent) {
+  const items = [];
+  let found = false;
+  Array.from(parent.childNodes).forEach(node => {
+   if (node.nodeType === Node.TEXT_NODE) {
+    const tokens = Shortcodes.tokenize(node.nodeValue);
+    if (tokens.some(t => t.type === 'open' || t.type === 'close')) found = true;
+    items.push(...tokens);
+    return;
+   }
+   if (node.nodeType === Node.ELEMENT_NODE && !SHORTCODE_SKIP_TAGS.has(node.tagName)) {
+    if (node.classList.contains('shortcode-block')) {
+     Array.from(node.children).filter(c => c.classList.contains('shortcode-content')).forEach(deserializeShortcodeChildren);
+    } else {
+     markAttributeShortcodes(node);
+     deserializeShortcodeChildren(node);
+    }
+   }
+   items.push({ type: 'node', node });
+  });
+  if (!found) return;
+  const frag = document.createDocumentFragment();
+  shortcodeTreeToDom(Shortcodes.tree(items), PHRASING_PARENTS.has(parent.tagName)).forEach(n => frag.appendChild(n));
+  while (parent.firstChild) parent.removeChild(parent.firstChild);
+  parent.appendChild(frag);
+ }
+
+ // A shortcode shares a line with text when the text right before or after it (up to a line break) is not blank.
+ function shortcodeSharesLine(nodes, i) {
+  const textOf = n => (n && n.type !== 'node' && n.type !== 'shortcode' ? (n.type === 'text' ? n.value : n.raw) : '');
+  const before = textOf(nodes[i - 1]).split('\n').pop();
+  const after = textOf(nodes[i + 1]).split('\n')[0];
+  return /\S/.test(before) || /\S/.test(after);
+ }
+
+ function shortcodeTreeToDom(nodes, inline) {
+  return nodes.map((n, i) => {
+   if (n.type === 'node') return n.node;
+   if (n.type !== 'shortcode') return document.createTextNode(n.type === 'text' ? n.value : n.raw);
+   const isInline = inline || shortcodeSharesLine(nodes, i);
+   const tag = isInline ? 'span' : 'div';
+   const el = document.createElement(tag);
+   el.setAttribute('data-gjs-type', 'shortcode-block');
+   el.setAttribute('data-shortcode-original', n.raw);
+   el.setAttribute('class', isInline
+    ? 'shortcode-block shortcode-inline border-b border-dashed border-gray-400 text-gray-600'
+    : 'shortcode-block border border-dashed border-gray-400 rounded-md p-2 text-center text-gray-600');
+   if (n.children) {
+    el.setAttribute('data-shortcode-close', n.closeRaw);
+    const content = document.createElement(tag);
+    content.className = 'shortcode-content';
+    ['draggable', 'removable', 'copyable'].forEach(prop => content.setAttribute(`data-gjs-${prop}`, 'false'));
+    shortcodeTreeToDom(n.children, isInline).forEach(c => content.appendChild(c));
+    el.appendChild(content);
+   } else {
+    el.innerHTML = isInline
+     ? `<span style="color:gray;">Loading ${escapeHtml(n.name)}...</span>`
+     : `<div style="color:gray;padding:12px;text-align:center;">Loading ${escapeHtml(n.name)}...</div>`;
+   }
+   return el;
+  });
+ }
+
+ return {
+  Shortcodes,
+  SHORTCODE_ATTR,
+  SHORTCODE_SKIP_TAGS,
+  PHRASING_PARENTS,
+  readAttributeShortcodes,
+  serializeShortcodeHtml,
+  deserializeShortcodes
+ };
+});
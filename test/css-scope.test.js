@@ -0,0 +1,91 @@
+'use strict';
+
+// Tests for the block stylesheet splitting and scoping in css-scope.js.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCssBlocks, scopeCss } = require('../css-scope.js');
+
+describe('parseCssBlocks', () => {
+ test('splits top-level rules and statements', () => {
+  const nodes = parseCssBlocks('@import "a.css";\n.a { color: red }\n@media (x) { .b { c: d } }');
+  assert.deepEqual(nodes.map(n => n.type), ['raw', 'block', 'block']);
+  assert.equal(nodes[0].text, '@import "a.css";');
+  assert.equal(nodes[1].prelude, '.a ');
+  assert.equal(nodes[2].body, ' .b { c: d } ');
+ });
+
+ test('braces and semicolons inside comments and strings do not split', () => {
+  const nodes = parseCssBlocks('/* } ; { */ .a::before { content: "}" } .b[title=";"] { x: y }');
+  assert.deepEqual(nodes.filter(n => n.type === 'block').map(n => n.prelude.trim()), ['.a::before', '.b[title=";"]']);
+  assert.equal(nodes[0].lead, '/* } ; { */ ');
+ });
+
+ test('offset points just past the opening brace', () => {
+  const css = '.a {x:1}\n.b {y:2}';
+  const [, second] = parseCssBlocks(css);
+  assert.equal(css.slice(second.offset, second.offset + second.body.length), 'y:2');
+ });
+
+ test('recovers from a stray closing brace', () => {
+  const nodes = parseCssBlocks('.a {x:1} } .b {y:2}');
+  assert.deepEqual(nodes.filter(n => n.type === 'block').map(n => n.prelude.trim()), ['.a', '.b']);
+ });
+
+ test('strict mode reports the problem and where it is', () => {
+  const cases = [
+   ['.a { x: 1', 'Missing closing "}"', 3],
+   ['.a { x: 1 } }', 'Unexpected "}"', 12],
+   ['.a { content: "x }', 'Unclosed string', 14],
+   ['/* open', 'Unclosed comment', 0],
+   ['.a { x: 1 } .b', 'Expected "{" after selector', 12]
+  ];
+  cases.forEach(([css, message, offset]) => {
+   assert.throws(() => parseCssBlocks(css, true), err => err.message === message && err.offset === offset, css);
+  });
+ });
+
+ test('strict mode accepts a trailing comment', () => {
+  assert.doesNotThrow(() => parseCssBlocks('.a { x: 1 }\n/* end */', true));
+ });
+});
+
+describe('scopeCss', () => {
+ const scope = '.block-1';
+
+ test('prefixes every selector in a list', () => {
+  assert.equal(scopeCss('.a, p > span {x:1}', scope), '.block-1 .a, .block-1 p > span {x:1}');
+ });
+
+ test('commas inside :is() and attribute values are not list separators', () => {
+  assert.equal(scopeCss(':is(.a, .b) [data-x="1,2"] {x:1}', scope), '.block-1 :is(.a, .b) [data-x="1,2"] {x:1}');
+ });
+
+ test('html, body and :root map onto the scope itself', () => {
+  assert.equal(scopeCss('body {x:1}', scope), '.block-1 {x:1}');
+  assert.equal(scopeCss(':root {--c: red}', scope), '.block-1 {--c: red}');
+  assert.equal(scopeCss('html body.dark > .x {y:2}', scope), '.block-1.dark > .x {y:2}');
+ });
+
+ test('selectors already starting with the scope are left alone', () => {
+  assert.equal(scopeCss('.block-1 .a {x:1}', scope), '.block-1 .a {x:1}');
+  assert.equal(scopeCss('.block-10 {x:1}', scope), '.block-1 .block-10 {x:1}');
+ });
+
+ test('recurses into grouping at-rules', () => {
+  assert.equal(
+   scopeCss('@media (max-width: 600px) { .a {x:1} @supports (display: grid) { .b {y:2} } }', scope),
+   '@media (max-width: 600px) { .block-1 .a {x:1} @supports (display: grid) { .block-1 .b {y:2} } }'
+  );
+ });
+
+ test('keyframes, font-face and statements pass through unchanged', () => {
+  const css = '@import url("a.css");@keyframes spin { from { a: 0 } to { a: 1 } }@font-face { font-family: X; }';
+  assert.equal(scopeCss(css, scope), css);
+ });
+
+ test('comments before a rule stay in place', () => {
+  assert.equal(scopeCss('/* hero */\n.a {x:1}', scope), '/* hero */\n.block-1 .a {x:1}');
+ });
+});
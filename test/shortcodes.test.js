@@ -0,0 +1,160 @@
+'use strict';
+
+// Round-trip tests for the shortcode HTML conversion in shortcodes.js.
+// Every document in fixtures/shortcodes must survive deserialize -> serialize unchanged;
+// EXPECTED describes the blocks (and marked attributes) each one should produce in the editor.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>');
+const {
+ Shortcodes,
+ SHORTCODE_ATTR,
+ readAttributeShortcodes,
+ serializeShortcodeHtml,
+ deserializeShortcodes
+} = require('../shortcodes.js')(window);
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'shortcodes');
+
+// blocks: every .shortcode-block in document order as "div|span original".
+// attrs: { selector: [attribute names marked in data-sc-attrs] }.
+const EXPECTED = {
+ 'attribute-values.html': {
+  blocks: [],
+  attrs: { a: ['href', 'title'], img: ['src'] }
+ },
+ 'block-own-line.html': {
+  blocks: ['div [contact_form id="2"]']
+ },
+ 'escaped.html': {
+  blocks: ['span [gallery id="3"]']
+ },
+ 'inline-link-text.html': {
+  blocks: ['span [company]']
+ },
+ 'inline-paragraph.html': {
+  blocks: ['span [user_name]']
+ },
+ 'nested-enclosing.html': {
+  blocks: ['div [tabs style="pills"]', 'div [tab title="One"]', 'span [year]', 'div [tab title="Two"]', 'span [button label="Go"]']
+ },
+ 'quoted-brackets.html': {
+  blocks: ['span [button label="Go ]here" url=\'/a?b=1&c=2\' /]']
+ },
+ 'skipped-elements.html': {
+  blocks: []
+ },
+ 'unmatched-tags.html': {
+  blocks: ['span [note]']
+ }
+};
+
+const fragment = html => {
+ const el = window.document.createElement('div');
+ el.innerHTML = html;
+ return el;
+};
+
+const fixtureFiles = fs.readdirSync(FIXTURES).filter(f => f.endsWith('.html')).sort();
+
+describe('shortcode fixtures', () => {
+ test('every fixture has expectations', () => {
+  assert.deepEqual(fixtureFiles, Object.keys(EXPECTED).sort());
+ });
+
+ fixtureFiles.forEach(file => {
+  const html = fs.readFileSync(path.join(FIXTURES, file), 'utf8');
+  const expected = EXPECTED[file] || {};
+
+  test(`${file}: round-trips unchanged`, () => {
+   assert.equal(serializeShortcodeHtml(deserializeShortcodes(html)), html);
+  });
+
+  test(`${file}: deserializing saved output again gives the same editor HTML`, () => {
+   const once = deserializeShortcodes(html);
+   assert.equal(deserializeShortcodes(serializeShortcodeHtml(once)), once);
+  });
+
+  test(`${file}: keeps inline vs. block placement`, () => {
+   const blocks = Array.from(fragment(deserializeShortcodes(html)).querySelectorAll('.shortcode-block'))
+    .map(el => `${el.tagName.toLowerCase()} ${el.getAttribute('data-shortcode-original')}`);
+   assert.deepEqual(blocks, expected.blocks || []);
+  });
+
+  test(`${file}: marks shortcodes in attribute values`, () => {
+   const root = fragment(deserializeShortcodes(html));
+   const marked = {};
+   root.querySelectorAll(`[${SHORTCODE_ATTR}]`).forEach(el => {
+    marked[el.tagName.toLowerCase()] = Object.keys(readAttributeShortcodes(el.getAttribute(SHORTCODE_ATTR)));
+   });
+   assert.deepEqual(marked, expected.attrs || {});
+  });
+ });
+});
+
+describe('shortcodes in attribute values', () => {
+ const html = '<a href="[site_url]/about">About</a>';
+
+ // What renderAttributeShortcodes does in the canvas: the value shows the rendered text.
+ const renderInEditor = (source, rendered) => {
+  const root = fragment(deserializeShortcodes(source));
+  const link = root.querySelector('a');
+  const entries = readAttributeShortcodes(link.getAttribute(SHORTCODE_ATTR));
+  entries.href.rendered = rendered;
+  link.setAttribute(SHORTCODE_ATTR, JSON.stringify(entries));
+  link.setAttribute('href', rendered);
+  return { root, link };
+ };
+
+ test('a rendered value is saved as the original shortcode', () => {
+  const { root } = renderInEditor(html, 'https://example.com/about');
+  assert.equal(serializeShortcodeHtml(root.innerHTML), html);
+ });
+
+ test('a value edited after rendering is saved as typed', () => {
+  const { root, link } = renderInEditor(html, 'https://example.com/about');
+  link.setAttribute('href', '/contact');
+  assert.equal(serializeShortcodeHtml(root.innerHTML), '<a href="/contact">About</a>');
+ });
+
+ test('the link text and its attribute are handled independently', () => {
+  const source = '<p><a href="[site_url]/team">Meet [company]</a></p>';
+  const root = fragment(deserializeShortcodes(source));
+  assert.equal(root.querySelector('a > span.shortcode-inline').getAttribute('data-shortcode-original'), '[company]');
+  assert.ok(root.querySelector('a').hasAttribute(SHORTCODE_ATTR));
+  assert.equal(serializeShortcodeHtml(root.innerHTML), source);
+ });
+});
+
+describe('Shortcodes grammar', () => {
+ test('escaped tags stay text', () => {
+  assert.deepEqual(Shortcodes.tokenize('[[x]] and [[/x]]').map(t => t.type), ['escaped', 'text', 'escaped']);
+ });
+
+ test('quoted values may contain brackets and escaped quotes', () => {
+  const tag = Shortcodes.openTag('[btn label="a ]b" note="say \\"hi\\"" 7]');
+  assert.deepEqual(Shortcodes.attrsObject(tag.attrs), { label: 'a ]b', note: 'say "hi"', 0: '7' });
+ });
+
+ test('an opening tag without a close is self-closing and its siblings stay siblings', () => {
+  const [first, second] = Shortcodes.parse('[a]text[/b]');
+  assert.equal(first.type, 'shortcode');
+  assert.equal(first.children, null);
+  assert.equal(second.value, 'text');
+ });
+
+ test('serialize(parse(text)) returns the text unchanged', () => {
+  const text = 'x [a k=\'1\'  j="2"]in [b /] [[c]] [/a] [/z] [unclosed';
+  assert.equal(Shortcodes.serialize(Shortcodes.parse(text)), text);
+ });
+
+ test('build escapes quotes and backslashes', () => {
+  const built = Shortcodes.build('q', { text: 'say "hi" \\' });
+  assert.deepEqual(Shortcodes.attrsObject(Shortcodes.openTag(built).attrs), { text: 'say "hi" \\' });
+ });
+});